@@ -8,7 +8,12 @@ let babelParser = null;
 try {
   babelParser = require('./node_modules/@babel/parser');
 } catch (e) {
-  // Babel parser not available, will fall back gracefully
+  try {
+    // Running from the bonzai-tree package (CLI commands) rather than bonzai/
+    babelParser = require('@babel/parser');
+  } catch (e) {
+    // Babel parser not available, will fall back gracefully
+  }
 }
 
 module.exports = {
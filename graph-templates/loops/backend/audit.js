@@ -0,0 +1,39 @@
+const { queryAudit } = require('../utils/audit');
+
+// GET /audit: entries of bonzai/audit.jsonl, filtered with ?path= (file or folder),
+// ?since= and ?until= (ISO dates or timestamps) and ?limit= (the last n)
+function auditHandler(req, res) {
+  try {
+    const { path: filterPath, since, until } = req.query;
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).send(`Invalid ${name} date: ${value}`);
+      }
+    }
+    const limit = req.query.limit ? Number(req.query.limit) : null;
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      return res.status(400).send('limit must be a positive integer');
+    }
+
+    const entries = queryAudit({ path: filterPath, since, until, limit });
+    res.json({ entries });
+  } catch (e) {
+    res.status(500).send(e.message);
+  }
+}
+
+const manifest = {
+  method: 'get',
+  route: '/audit',
+  loop: 'backend',
+  description: 'Audit log of writes, deletes and terminal sessions',
+  query: {
+    path: { description: 'A file, or a folder for everything under it' },
+    since: { description: 'Entries at or after this time (ISO date)' },
+    until: { description: 'Entries at or before this time (ISO date)' },
+    limit: { description: 'Only the last n entries' }
+  }
+};
+
+module.exports = auditHandler;
+module.exports.manifest = manifest;
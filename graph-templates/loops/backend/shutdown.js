@@ -1,16 +1,31 @@
+// POST /shutdown: respond, then shut down through receiver.js's coordinator
+// (drains other requests, kills terminals, closes sockets)
 function shutdownHandler(req, res) {
   console.log('🛑 Shutdown endpoint called - terminating server...');
-  
-  res.json({ 
-    success: true, 
-    message: 'Server shutting down...' 
+
+  const { shutdown } = req.app.locals;
+  if (shutdown) {
+    res.on('finish', () => shutdown('shutdown endpoint'));
+  } else {
+    // Receivers without the coordinator
+    setTimeout(() => {
+      process.exit(0);
+    }, 100); // Small delay to ensure response is sent
+  }
+
+  res.json({
+    success: true,
+    message: 'Server shutting down...'
   });
-  
-  // Close the server gracefully
-  setTimeout(() => {
-    process.exit(0);
-  }, 100); // Small delay to ensure response is sent
 }
 
-module.exports = shutdownHandler;
+const manifest = {
+  method: 'post',
+  route: '/shutdown',
+  loop: 'backend',
+  description: 'Shut the server down',
+  auth: true
+};
 
+module.exports = shutdownHandler;
+module.exports.manifest = manifest;
@@ -1,4 +1,5 @@
 const { ROOT } = require('../config');
+const { record } = require('../utils/audit');
 
 let pty;
 try {
@@ -23,7 +24,7 @@ function getDefaultShell() {
 }
 
 // Create a new terminal session
-function createTerminal(sessionId, cols = 80, rows = 24) {
+function createTerminal(sessionId, ws, cols = 80, rows = 24) {
   if (!pty) {
     throw new Error('node-pty is not available. Native binaries may not have installed correctly.');
   }
@@ -64,6 +65,7 @@ function createTerminal(sessionId, cols = 80, rows = 24) {
 
   terminals.set(sessionId, {
     pty: ptyProcess,
+    ws,
     buffer: ''
   });
 
@@ -75,7 +77,7 @@ function terminalHandler(req, res) {
   res.json({
     message: 'Terminal WebSocket API',
     usage: {
-      websocket: 'ws://localhost:6767/terminal',
+      websocket: `ws://${req.headers.host}/terminal`,
       events: {
         'input': 'Send terminal input (data: string)',
         'resize': 'Resize terminal (cols: number, rows: number)',
@@ -87,18 +89,30 @@ function terminalHandler(req, res) {
 
 // WebSocket handler for terminal sessions
 function setupTerminalWebSocket(wss) {
-  wss.on('connection', (ws) => {
+  wss.on('connection', (ws, req) => {
     const sessionId = Date.now().toString();
+    const origin = req.headers.origin || null;
     let ptyProcess;
 
     try {
-      ptyProcess = createTerminal(sessionId);
+      ptyProcess = createTerminal(sessionId, ws);
     } catch (err) {
+      record({ route: '/terminal', event: 'start', session: sessionId, origin, error: err.message });
       ws.send(JSON.stringify({ type: 'error', message: 'Failed to create terminal: ' + err.message }));
       ws.close();
       return;
     }
 
+    record({ route: '/terminal', event: 'start', session: sessionId, pid: ptyProcess.pid, origin });
+
+    // Audit the end of the session once, whether the shell exited or the socket closed
+    let stopped = false;
+    const stop = (details) => {
+      if (stopped) return;
+      stopped = true;
+      record({ route: '/terminal', event: 'stop', session: sessionId, ...details });
+    };
+
     // Send terminal output to WebSocket client
     ptyProcess.onData((data) => {
       try {
@@ -109,6 +123,7 @@ function setupTerminalWebSocket(wss) {
     });
 
     ptyProcess.onExit(({ exitCode }) => {
+      stop({ exitCode });
       ws.send(JSON.stringify({ type: 'exit', exitCode }));
       ws.close();
     });
@@ -132,11 +147,40 @@ function setupTerminalWebSocket(wss) {
     });
 
     // Cleanup on disconnect
-    ws.on('close', () => {
+    ws.on('close', (code) => {
+      stop({ closeCode: code });
       ptyProcess.kill();
       terminals.delete(sessionId);
     });
   });
 }
 
-module.exports = { terminalHandler, setupTerminalWebSocket };
+// WebSocket close code for a server shutdown (1001 Going Away)
+const GOING_AWAY = 1001;
+
+// Kill every terminal's shell and close its WebSocket, for server shutdown
+function closeTerminals(reason = 'Server shutting down') {
+  for (const [sessionId, { pty: ptyProcess, ws }] of terminals) {
+    terminals.delete(sessionId);
+    try {
+      ptyProcess.kill();
+    } catch (e) {
+      // Already exited
+    }
+    if (ws) {
+      ws.close(GOING_AWAY, reason);
+    }
+  }
+}
+
+// The route only describes the WebSocket; receiver.js attaches it with setupTerminalWebSocket
+const manifest = {
+  method: 'get',
+  route: '/terminal',
+  loop: 'backend',
+  description: 'Terminal WebSocket usage',
+  details: 'Terminal sessions use the WebSocket at /terminal (with ?token=).',
+  export: 'terminalHandler'
+};
+
+module.exports = { terminalHandler, setupTerminalWebSocket, closeTerminals, manifest };
@@ -1,18 +1,42 @@
 const fs = require('fs');
 const path = require('path');
 const { ROOT } = require('../config');
+const { touchesAuditLog, fileState, changeFields, record } = require('../utils/audit');
 
 function writeHandler(req, res) {
+  const origin = req.headers.origin || null;
+  let relativePath = null;
   try {
     const filePath = path.join(ROOT, req.body.path || '');
     if (!filePath.startsWith(ROOT)) {
       return res.status(400).send('Invalid path');
     }
+    relativePath = path.relative(ROOT, filePath).replace(/\\/g, '/');
+    if (touchesAuditLog(filePath)) {
+      record({ route: '/write', path: relativePath, origin, error: 'Refused: would change the audit log' });
+      return res.status(403).send('The audit log (bonzai/audit.jsonl) and its folders can\'t be changed through the server');
+    }
+    const before = fileState(filePath);
     fs.writeFileSync(filePath, req.body.content, 'utf8');
+    record({ route: '/write', path: relativePath, ...changeFields(before, fileState(filePath)), origin });
     res.json({ status: 'ok' });
   } catch (e) {
+    record({ route: '/write', path: relativePath, origin, error: e.message });
     res.status(500).send(e.message);
   }
 }
 
+const manifest = {
+  method: 'post',
+  route: '/write',
+  loop: 'backend',
+  description: 'Write a file',
+  auth: true,
+  body: {
+    path: { description: 'Repo-relative path', required: true },
+    content: { description: 'New file content', required: true }
+  }
+};
+
 module.exports = writeHandler;
+module.exports.manifest = manifest;
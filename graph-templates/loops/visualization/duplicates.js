@@ -0,0 +1,56 @@
+const path = require('path');
+const { ROOT } = require('../config');
+const { loadConfig } = require('../utils/configFile');
+const { collectEntries, resolveQueryPath } = require('../utils/checks');
+const { virtualNodes } = require('../utils/fileList');
+const { DEFAULTS, findDuplicates } = require('../utils/duplicates');
+
+// Groups of near-duplicate functions and methods. The whole repo is compared;
+// ?path= (file, folder or virtual node) keeps the groups with a member inside it
+function duplicatesHandler(req, res) {
+  try {
+    const requestedPath = req.query.path || '';
+    if (!path.join(ROOT, requestedPath).startsWith(ROOT)) {
+      return res.status(400).send('Invalid path');
+    }
+
+    const target = resolveQueryPath(requestedPath);
+    if (!target) {
+      return res.status(404).send('Path not found');
+    }
+
+    // Shown on demand, so the settings apply even when the check is disabled
+    const config = loadConfig() || {};
+    const settings = { ...DEFAULTS, ...config.duplicateCheck };
+    const targetFiles = new Set(target.files);
+
+    const groups = findDuplicates(
+      collectEntries(ROOT).files,
+      file => virtualNodes(path.join(ROOT, file), file),
+      () => settings,
+      file => targetFiles.has(file)
+    );
+
+    res.json({
+      similarity: settings.similarity,
+      minTokens: settings.minTokens,
+      groups: target.node
+        ? groups.filter(group => group.members.some(member =>
+          member.node === target.node || member.node.startsWith(target.node + '/')))
+        : groups
+    });
+  } catch (e) {
+    res.status(500).send(e.message);
+  }
+}
+
+const manifest = {
+  method: 'get',
+  route: '/duplicates',
+  loop: 'visualization',
+  description: 'Groups of near-duplicate functions',
+  query: { path: { description: 'Only groups with a member under this file, folder or virtual node' } }
+};
+
+module.exports = duplicatesHandler;
+module.exports.manifest = manifest;
@@ -0,0 +1,51 @@
+const path = require('path');
+const { ROOT } = require('../config');
+const { loadConfig } = require('../utils/configFile');
+const { resolveQueryPath, pickNodes } = require('../utils/checks');
+const { lintFiles } = require('../utils/lint');
+
+// Lint diagnostics for a file, folder, or virtual function/class/method (?path=, empty for the whole repo)
+async function lintHandler(req, res) {
+  try {
+    const requestedPath = req.query.path || '';
+    if (!path.join(ROOT, requestedPath).startsWith(ROOT)) {
+      return res.status(400).send('Invalid path');
+    }
+
+    const config = loadConfig() || {};
+    const eslintRule = config.eslint || {};
+    if (eslintRule.enabled === false) {
+      return res.json({ enabled: false, files: [] });
+    }
+
+    const target = resolveQueryPath(requestedPath);
+    if (!target) {
+      return res.status(404).send('Path not found');
+    }
+
+    const results = await lintFiles(target.files, eslintRule);
+    if (!results) {
+      return res.status(501).send('eslint is not installed');
+    }
+
+    if (target.node) {
+      const nodes = results.reduce((acc, result) => ({ ...acc, ...pickNodes(result.nodes, target.node) }), {});
+      return res.json({ enabled: true, path: target.node, nodes });
+    }
+
+    res.json({ enabled: true, files: results });
+  } catch (e) {
+    res.status(500).send(e.message);
+  }
+}
+
+const manifest = {
+  method: 'get',
+  route: '/lint',
+  loop: 'visualization',
+  description: 'ESLint problems',
+  query: { path: { description: 'File, folder or virtual node to narrow to' } }
+};
+
+module.exports = lintHandler;
+module.exports.manifest = manifest;
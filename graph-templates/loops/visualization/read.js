@@ -116,5 +116,14 @@ function readHandler(req, res) {
   }
 }
 
+const manifest = {
+  method: 'get',
+  route: '/read',
+  loop: 'visualization',
+  description: 'Read a file, or a function, class or method by virtual path',
+  query: { path: { description: 'Repo-relative path', required: true } }
+};
+
 module.exports = readHandler;
+module.exports.manifest = manifest;
 
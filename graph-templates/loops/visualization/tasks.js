@@ -0,0 +1,29 @@
+const { loadConfig } = require('../utils/configFile');
+const { runChecks } = require('../utils/checks');
+const { buildTasks, renderMarkdown } = require('../utils/tasks');
+
+// Current rule violations as prompts, with the markdown bonzai/tasks.md would get.
+// Nothing is written: that's POST /tasks or `npx bonzai-tree tasks`
+async function tasksHandler(req, res) {
+  try {
+    const config = loadConfig();
+    if (!config) {
+      return res.status(404).send('bonzai/config.json not found');
+    }
+    const { violations } = await runChecks(config);
+    const taskList = buildTasks(config, violations);
+    res.json({ ...taskList, markdown: renderMarkdown(taskList) });
+  } catch (e) {
+    res.status(500).send(e.message);
+  }
+}
+
+const manifest = {
+  method: 'get',
+  route: '/tasks',
+  loop: 'visualization',
+  description: 'Rule violations as prompts'
+};
+
+module.exports = tasksHandler;
+module.exports.manifest = manifest;
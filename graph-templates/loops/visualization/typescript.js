@@ -0,0 +1,55 @@
+const path = require('path');
+const { ROOT } = require('../config');
+const { loadConfig } = require('../utils/configFile');
+const { collectEntries, resolveQueryPath, pickNodes } = require('../utils/checks');
+const { typeCheck } = require('../utils/typescript');
+
+// Type errors for the repo, narrowed to a file, folder, or virtual function/class/method with ?path=
+function typescriptHandler(req, res) {
+  try {
+    const requestedPath = req.query.path || '';
+    if (!path.join(ROOT, requestedPath).startsWith(ROOT)) {
+      return res.status(400).send('Invalid path');
+    }
+
+    const config = loadConfig() || {};
+    if (config.typescript && config.typescript.enabled === false) {
+      return res.json({ enabled: false, files: [] });
+    }
+
+    const target = resolveQueryPath(requestedPath);
+    if (!target) {
+      return res.status(404).send('Path not found');
+    }
+
+    // The whole program is always checked; ?path= only filters the results
+    const result = typeCheck(collectEntries(ROOT).files);
+    if (!result) {
+      return res.status(501).send('typescript is not installed');
+    }
+
+    const files = result.files.filter(file => target.files.includes(file.path));
+
+    if (target.node) {
+      const nodes = files.reduce((acc, file) => ({ ...acc, ...pickNodes(file.nodes, target.node) }), {});
+      return res.json({ enabled: true, tsconfig: result.tsconfig, path: target.node, nodes });
+    }
+
+    // Whole-repo queries also keep tsconfig-level diagnostics
+    const all = requestedPath.replace(/[\\/]/g, '') === '';
+    res.json({ enabled: true, tsconfig: result.tsconfig, files: all ? result.files : files });
+  } catch (e) {
+    res.status(500).send(e.message);
+  }
+}
+
+const manifest = {
+  method: 'get',
+  route: '/diagnostics/typescript',
+  loop: 'visualization',
+  description: 'TypeScript type errors',
+  query: { path: { description: 'File, folder or virtual node to narrow to' } }
+};
+
+module.exports = typescriptHandler;
+module.exports.manifest = manifest;
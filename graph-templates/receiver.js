@@ -6,64 +6,201 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { ROOT } = require('./config');
+const { CONFIG_VERSION, readConfig, validateConfig } = require('./utils/configFile');
+const { resolveUi } = require('./utils/ui');
+const { discoverHandlers, requiresSession } = require('./utils/handlers');
+const { createShutdown } = require('./utils/shutdown');
+const { API_PREFIX, envelope, notFound, errorHandler, openApiDocument } = require('./utils/api');
+const { createToken, createOriginCheck, tokenMatches, requireSession, verifyUpgrade, sessionCookie } = require('./utils/auth');
+
+// Where to listen: --port/--host flags, then BONZAI_PORT/BONZAI_HOST, then the
+// defaults. A port that's taken falls through to the next free one
+const DEFAULT_PORT = 6767;
+const MAX_PORT_ATTEMPTS = 20;
+
+function option(name) {
+  const index = process.argv.indexOf('--' + name);
+  if (index !== -1) return process.argv[index + 1];
+  const inline = process.argv.find(arg => arg.startsWith('--' + name + '='));
+  return inline ? inline.slice(name.length + 3) : undefined;
+}
+
+const requestedPort = Number(option('port') || process.env.BONZAI_PORT || DEFAULT_PORT);
+const host = option('host') || process.env.BONZAI_HOST || 'localhost';
+if (!Number.isInteger(requestedPort) || requestedPort < 0 || requestedPort > 65535) {
+  console.error('Invalid port: ' + (option('port') || process.env.BONZAI_PORT));
+  process.exit(1);
+}
+
+// URL the browser should use (set once listening). Wildcard hosts are reached via localhost
+let serverUrl = null;
+function urlFor(listenHost, listenPort) {
+  const reachable = ['0.0.0.0', '::', ''].includes(listenHost) ? 'localhost' : listenHost;
+  return `http://${reachable.includes(':') ? `[${reachable}]` : reachable}:${listenPort}`;
+}
 
-const port = 6767;
 const app = express();
 const server = http.createServer(app);
+const { track, onShutdown, shutdown } = createShutdown(server);
+// For the /shutdown handler
+app.locals.shutdown = shutdown;
 
-app.use(cors());
+// Validate bonzai/config.json on startup. Older versions are migrated in memory;
+// setup (npx bonzai-tree -v) and the CLI commands save the migrated file
+let config = null;
+try {
+  const loaded = readConfig();
+  config = loaded && loaded.config;
+  if (loaded && loaded.migrated) {
+    console.warn(`bonzai/config.json is version ${loaded.from}, read as version ${CONFIG_VERSION}. Run npx bonzai-tree -v to update the file`);
+  }
+  const errors = config ? validateConfig(config) : [];
+  for (const error of errors) {
+    console.warn('bonzai/config.json: ' + error);
+  }
+} catch (e) {
+  console.warn(e.message);
+}
+
+// Mutating routes and the terminal need the session token (see utils/auth.js);
+// other sites only get CORS access if config.json server.allowedOrigins lists them
+const session = {
+  token: createToken(),
+  origins: createOriginCheck((config && config.server && config.server.allowedOrigins) || []),
+  port: () => server.address().port
+};
+const authorized = requireSession(session);
+
+// UI assets from bonzai/ui, unless remote mode is asked for with --remote-ui,
+// BONZAI_UI=remote or config.json server.ui
+const ui = resolveUi(
+  process.argv.includes('--remote-ui') ||
+  process.env.BONZAI_UI === 'remote' ||
+  Boolean(config && config.server && config.server.ui === 'remote')
+);
+
+// Read-only mode (--read-only, BONZAI_READ_ONLY=1 or config.json server.readOnly):
+// only the visualization loop's GET routes are served, whatever the release channel
+// shipped. Other routes answer 403, plugins aren't loaded and the terminal WebSocket isn't started
+const readOnly =
+  process.argv.includes('--read-only') ||
+  ['1', 'true'].includes(process.env.BONZAI_READ_ONLY) ||
+  Boolean(config && config.server && config.server.readOnly === true);
+const mode = readOnly ? 'read-only' : 'read-write';
+
+app.use(track);
+app.use(cors({ origin: (origin, callback) => callback(null, session.origins.isAllowed(origin)) }));
 app.use(express.json());
+if (ui.mode === 'local') {
+  // Versioned path, so the assets can be cached for good
+  app.use(ui.mount, express.static(ui.dir, { immutable: true, maxAge: '1y' }));
+}
 
 // Health check
-app.get('/health', (req, res) => {
+function healthHandler(req, res) {
   const repoName = path.basename(ROOT);
-  res.json({ message: 'Bonzai Server', status: 'running', repoName });
-});
+  res.json({ message: 'Bonzai Server', status: 'running', repoName, mode, ui: { mode: ui.mode, version: ui.version } });
+}
+
+// Handlers of the enabled loops (bonzai/handlers, copied by bconfig.js) and the
+// user's own (bonzai/plugins, which bconfig.js never touches). Each declares its
+// route in a manifest (see utils/handlers.js) and is registered at that path and
+// under /api/v1, and described in /openapi.json. In read-only mode plugins aren't
+// loaded at all (their code would run), and the built-in routes outside the
+// visualization loop, or not GET, are registered as blocked instead
+const handlerDirs = [path.join(__dirname, 'handlers')];
+if (!readOnly) {
+  handlerDirs.push(path.join(__dirname, 'plugins'));
+} else if (fs.existsSync(path.join(__dirname, 'plugins'))) {
+  console.warn('Read-only mode: not loading bonzai/plugins');
+}
+const handlers = discoverHandlers(handlerDirs, ['GET /health', 'GET /openapi.json']);
 
-// Dynamically load handlers based on what exists
-const handlersDir = path.join(__dirname, 'handlers');
+const api = express.Router();
+api.use(envelope);
+const loadedRoutes = [{ method: 'get', route: '/health', description: 'Server status' }];
+app.get('/health', healthHandler);
+api.get('/health', healthHandler);
 
-function tryLoad(name) {
-  const filePath = path.join(handlersDir, name + '.js');
-  if (fs.existsSync(filePath)) {
-    return require(filePath);
+// 403 for a route the current mode doesn't serve, rather than the SPA shell
+function blockedHandler(req, res) {
+  res.status(403).json({ error: `${req.method} ${req.path} is disabled: the server is in read-only mode` });
+}
+
+for (const { manifest, handler } of handlers) {
+  if (readOnly && (manifest.loop !== 'visualization' || manifest.method !== 'get')) {
+    app[manifest.method](manifest.route, blockedHandler);
+    api[manifest.method](manifest.route, blockedHandler);
+    continue;
   }
-  return null;
+
+  const auth = requiresSession(manifest);
+  const middleware = auth ? [authorized] : [];
+  app[manifest.method](manifest.route, ...middleware, handler);
+  api[manifest.method](manifest.route, ...middleware, handler);
+  loadedRoutes.push({ ...manifest, auth });
 }
 
-// Visualization loop handlers
-const listHandler = tryLoad('list');
-const readHandler = tryLoad('read');
+// OpenAPI description of the routes loaded above
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument(loadedRoutes, { title: 'Bonzai local server', version: '1.0.0', serverUrl }));
+});
 
-if (listHandler) app.get('/list', listHandler);
-if (readHandler) app.get('/read', readHandler);
+// Plugin routes aren't known in read-only mode, so refuse anything but reads
+function refuseWrites(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+  blockedHandler(req, res);
+}
 
-// Backend loop handlers
-const deleteHandler = tryLoad('delete');
-const writeHandler = tryLoad('write');
-const shutdownHandler = tryLoad('shutdown');
-const terminalHandlers = tryLoad('terminal');
+if (readOnly) api.use(refuseWrites);
+api.use(notFound);
+api.use(errorHandler);
+app.use(API_PREFIX, api);
+app.use(API_PREFIX, errorHandler);
+if (readOnly) app.use(refuseWrites);
 
-if (deleteHandler) app.post('/delete', deleteHandler);
-if (writeHandler) app.post('/write', writeHandler);
-if (shutdownHandler) app.post('/shutdown', shutdownHandler);
-if (terminalHandlers) {
+// The built-in terminal handler, picked by file so a plugin route can't stand in for it
+const terminal = handlers.find(({ file }) => file === path.join('handlers', 'terminal.js'));
+const terminalHandlers = !readOnly && terminal && typeof terminal.module.setupTerminalWebSocket === 'function'
+  ? terminal.module
+  : null;
+if (readOnly) {
+  // No WebSocketServer to answer the upgrade, so refuse it here
+  server.on('upgrade', (req, socket) => {
+    socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+  });
+} else if (terminalHandlers) {
   const { WebSocketServer } = require('./node_modules/ws');
-  const wss = new WebSocketServer({ server, path: '/terminal' });
+  const wss = new WebSocketServer({ server, path: '/terminal', verifyClient: verifyUpgrade(session) });
+  // ws re-emits the server's errors; listen() below handles a taken port
+  wss.on('error', () => {});
   terminalHandlers.setupTerminalWebSocket(wss);
-  app.get('/terminal', terminalHandlers.terminalHandler);
+
+  onShutdown(() => {
+    terminalHandlers.closeTerminals('Server shutting down');
+    // Sockets that never got a terminal
+    for (const client of wss.clients) {
+      client.close(1001, 'Server shutting down');
+    }
+    wss.close();
+  });
 }
 
 // Catch-all for SPA routing - serve HTML shell for any non-API route
 app.get('*', (req, res) => {
   const repoName = path.basename(ROOT);
+  // Opened with the session token: keep it in a cookie for the app's requests
+  if (tokenMatches(req.query.token, session.token)) {
+    res.set('Set-Cookie', sessionCookie(session.token, session.port()));
+  }
   res.send(`<!DOCTYPE html>
 <html>
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>Bonzai - ${repoName}</title>
-  <link rel="stylesheet" href="https://bonzai.dev/app.css">
+  <meta name="bonzai-ui" content="${ui.mode}${ui.version ? '@' + ui.version : ''}">
+  <link rel="stylesheet" href="${ui.style}">
   <style>
     * { margin: 0; padding: 0; box-sizing: border-box; }
     html, body, #root { height: 100%; }
@@ -73,13 +210,51 @@ app.get('*', (req, res) => {
   <div id="root"></div>
   <script>
     window.BONZAI_REPO = "${repoName}";
-    window.BONZAI_API = "http://localhost:${port}";
+    window.BONZAI_API = "${serverUrl}";
+    window.BONZAI_UI_VERSION = ${JSON.stringify(ui.version)};
+    // The token is in the cookie now; keep it out of the address bar and history
+    (function () {
+      var url = new URL(window.location.href);
+      if (url.searchParams.has('token')) {
+        url.searchParams.delete('token');
+        window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+      }
+    })();
   </script>
-  <script src="https://bonzai.dev/app.js"></script>
+  <script src="${ui.script}"></script>
 </body>
 </html>`);
 });
 
-server.listen(port, () => {
-  console.log('File server running on http://localhost:' + port);
-});
+function listen(port, attemptsLeft) {
+  const onListening = () => {
+    server.removeListener('error', onError);
+    serverUrl = urlFor(host, server.address().port);
+    session.origins.setServerUrl(serverUrl);
+    console.log('File server running on ' + serverUrl + (readOnly ? ' (read-only)' : ''));
+    // Started by `npx bonzai-tree -v`: report the URL and token so it can be printed and opened
+    if (process.send) {
+      process.send({ type: 'listening', url: serverUrl, token: session.token });
+    } else {
+      console.log(`Open ${serverUrl}/visualize?token=${session.token}`);
+    }
+  };
+  const onError = (err) => {
+    server.removeListener('listening', onListening);
+    if (err.code === 'EADDRINUSE' && attemptsLeft > 0) {
+      console.warn(`Port ${port} is in use, trying ${port + 1}`);
+      listen(port + 1, attemptsLeft - 1);
+    } else {
+      console.error(`Could not listen on ${host}:${port}: ${err.message}`);
+      process.exit(1);
+    }
+  };
+  server.once('listening', onListening);
+  server.once('error', onError);
+  server.listen(port, host);
+}
+
+listen(requestedPort, MAX_PORT_ATTEMPTS);
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
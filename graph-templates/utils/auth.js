@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// Session token for the local server. A fresh one is generated on every start and
+// handed to the browser in the URL bconfig.js opens; loading the app with it sets a
+// SameSite=Strict cookie, so the app's own requests carry it and other sites' don't.
+// Scripts can send it as an X-Bonzai-Token header or a ?token= query parameter
+
+const TOKEN_HEADER = 'x-bonzai-token';
+
+function createToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Cookie name per port, so servers for two repos don't overwrite each other's token
+function cookieName(port) {
+  return `bonzai_token_${port}`;
+}
+
+// Cookies by name. Browsers send every localhost cookie to every port, so values
+// set by other apps may not be valid URI encoding; those are kept as they are
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator === -1) continue;
+    const value = part.slice(separator + 1).trim();
+    try {
+      cookies[part.slice(0, separator).trim()] = decodeURIComponent(value);
+    } catch (e) {
+      cookies[part.slice(0, separator).trim()] = value;
+    }
+  }
+  return cookies;
+}
+
+// The token a request carries: header, ?token= or the session cookie
+function requestToken(req, port) {
+  if (req.headers[TOKEN_HEADER]) return req.headers[TOKEN_HEADER];
+  const query = new URL(req.url, 'http://localhost').searchParams.get('token');
+  if (query) return query;
+  return parseCookies(req.headers.cookie)[cookieName(port)] || null;
+}
+
+function tokenMatches(candidate, token) {
+  if (typeof candidate !== 'string' || candidate.length !== token.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(token));
+}
+
+// Origins allowed to call the server: its own URL (and the localhost/127.0.0.1
+// spellings of it) plus config.json server.allowedOrigins. Requests without an
+// Origin header (curl, the CLI, same-origin navigation) aren't cross-site
+function createOriginCheck(allowedOrigins = []) {
+  const allowed = new Set(allowedOrigins.map(origin => origin.replace(/\/+$/, '')));
+  let own = new Set();
+
+  return {
+    setServerUrl(url) {
+      const { port } = new URL(url);
+      own = new Set([url, `http://localhost:${port}`, `http://127.0.0.1:${port}`, `http://[::1]:${port}`]);
+    },
+    isAllowed(origin) {
+      return !origin || own.has(origin) || allowed.has(origin) || allowed.has('*');
+    }
+  };
+}
+
+// Express middleware for routes that change files or run commands: the origin
+// must be allowed and the session token must match (403 otherwise)
+function requireSession(session) {
+  return (req, res, next) => {
+    if (!session.origins.isAllowed(req.headers.origin)) {
+      return res.status(403).send('Origin not allowed');
+    }
+    if (!tokenMatches(requestToken(req, session.port()), session.token)) {
+      return res.status(403).send('Missing or invalid session token');
+    }
+    next();
+  };
+}
+
+// ws verifyClient: the same checks for the WebSocket upgrade
+function verifyUpgrade(session) {
+  return ({ origin, req }) =>
+    session.origins.isAllowed(origin) && tokenMatches(requestToken(req, session.port()), session.token);
+}
+
+// Set-Cookie header value storing the token for the app's later requests
+function sessionCookie(token, port) {
+  return `${cookieName(port)}=${token}; Path=/; HttpOnly; SameSite=Strict`;
+}
+
+module.exports = {
+  createToken,
+  createOriginCheck,
+  requestToken,
+  tokenMatches,
+  requireSession,
+  verifyUpgrade,
+  sessionCookie
+};
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../config');
+
+// Accepted violations recorded by `check --update-baseline`
+const BASELINE_PATH = path.join(ROOT, 'bonzai', 'baseline.json');
+
+// Violations on a function or class (functionLimit, complexityLimit, duplicateCheck, ...)
+// are recorded per node, so a second long function in a file isn't hidden by the first
+function keyOf(rule, file, node) {
+  return [rule, file, node || ''].join('\u0000');
+}
+
+// Measure each (rule, path, node): the number of violations, plus the measured
+// value when there is exactly one with a number (lines, items, complexity, similarity).
+// Counts are compared with counts and values with values, never one with the other
+function measure(violations) {
+  const groups = new Map();
+  for (const violation of violations) {
+    const key = keyOf(violation.rule, violation.path, violation.node);
+    if (!groups.has(key)) {
+      groups.set(key, { rule: violation.rule, path: violation.path, node: violation.node || null, violations: [] });
+    }
+    groups.get(key).violations.push(violation);
+  }
+
+  const measured = new Map();
+  for (const [key, group] of groups) {
+    const single = group.violations.length === 1 && typeof group.violations[0].value === 'number';
+    measured.set(key, {
+      rule: group.rule,
+      path: group.path,
+      node: group.node,
+      count: group.violations.length,
+      value: single ? group.violations[0].value : null,
+      violations: group.violations
+    });
+  }
+  return measured;
+}
+
+// How a current measurement compares with its baseline entry: { change, was, now }
+// with change 'worse', 'better' or 'same'. More violations is worse; with one each,
+// a higher value is worse. was/now are the numbers that were compared
+function compareEntry(current, entry) {
+  if (current.count !== entry.count) {
+    return { change: current.count > entry.count ? 'worse' : 'better', was: entry.count, now: current.count };
+  }
+  if (current.value === null || entry.value === null || current.value === entry.value) {
+    return { change: 'same' };
+  }
+  return { change: current.value > entry.value ? 'worse' : 'better', was: entry.value, now: current.value };
+}
+
+// Read bonzai/baseline.json, or null if there is none
+function loadBaseline() {
+  if (!fs.existsSync(BASELINE_PATH)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'));
+}
+
+// Record the current violations as the baseline. Returns the number of entries
+function writeBaseline(violations) {
+  const entries = [...measure(violations).values()]
+    .map(({ rule, path: file, node, count, value }) => ({
+      rule,
+      path: file,
+      ...(node ? { node } : {}),
+      count,
+      ...(value !== null ? { value } : {})
+    }))
+    .sort((a, b) => a.rule.localeCompare(b.rule) || a.path.localeCompare(b.path) ||
+      (a.node || '').localeCompare(b.node || ''));
+
+  fs.writeFileSync(BASELINE_PATH, JSON.stringify({ version: 1, entries }, null, 2) + '\n', 'utf8');
+  return entries.length;
+}
+
+// Split violations against the baseline:
+//   failing    new (rule, path, node) entries, or ones that got worse than recorded
+//   baselined  violations at or below their recorded count and value
+//   improved   baseline entries that got better or were fixed ({ rule, path, node, was, now })
+// scope lists the paths that were checked in an incremental run; entries outside
+// it weren't looked at, so they aren't reported as fixed
+function compareBaseline(violations, baseline, scope = null) {
+  const checked = scope ? new Set(scope) : null;
+  const entries = (baseline.entries || []).map(entry => ({ node: null, value: null, ...entry }));
+  const recorded = new Map(entries.map(entry => [keyOf(entry.rule, entry.path, entry.node), entry]));
+  const current = measure(violations);
+  const failing = [];
+  const baselined = [];
+  const improved = [];
+
+  for (const [key, group] of current) {
+    const entry = recorded.get(key);
+    const { change, was, now } = entry ? compareEntry(group, entry) : { change: 'worse' };
+    if (change === 'worse') {
+      failing.push(...group.violations);
+    } else {
+      baselined.push(...group.violations);
+      if (change === 'better') {
+        improved.push({ rule: entry.rule, path: entry.path, node: entry.node, was, now });
+      }
+    }
+  }
+
+  for (const [key, entry] of recorded) {
+    if (!current.has(key) && (!checked || checked.has(entry.path))) {
+      const was = entry.value !== null ? entry.value : entry.count;
+      improved.push({ rule: entry.rule, path: entry.path, node: entry.node, was, now: 0 });
+    }
+  }
+
+  return { failing, baselined, improved };
+}
+
+module.exports = {
+  BASELINE_PATH,
+  loadBaseline,
+  writeBaseline,
+  compareBaseline
+};
@@ -0,0 +1,544 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../config');
+const { listAllFiles, findSourceFile, virtualNodes } = require('./fileList');
+const { lintFiles } = require('./lint');
+const { typeCheck } = require('./typescript');
+const { parserInstalled, isParsable } = require('./ast');
+const { findUnused } = require('./unused');
+const { findDuplicates } = require('./duplicates');
+const { findDeadExports, isAllowed } = require('./exports');
+const { DIRECTORY_CONFIG, createResolver } = require('./overrides');
+const { changedEntries, stagedReader } = require('./git');
+const { KEEP_MARKER, collectSuppressions, applySuppressions } = require('./suppressions');
+
+// Walk the repo with the same ignore rules as /list and split the result
+// into real files and folders (forward slashes, no trailing slash)
+function collectEntries(root) {
+  const files = [];
+  const folders = [];
+  for (const entry of listAllFiles(root, '', null, false)) {
+    const normalized = entry.replace(/\\/g, '/');
+    if (normalized.endsWith('/')) {
+      folders.push(normalized.slice(0, -1));
+    } else {
+      files.push(normalized);
+    }
+  }
+  return { files, folders };
+}
+
+const VIRTUAL_SUFFIXES = ['.function', '.method', '.class'];
+
+// Resolve a ?path= query to the repo-relative files it covers: a file, every file
+// under a folder ('' for the whole repo), or the source file of a virtual node.
+// Returns { files, node } (node is the virtual path, if any) or null if not found
+function resolveQueryPath(requestedPath) {
+  const normalized = requestedPath.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  const targetPath = path.join(ROOT, normalized);
+
+  if (VIRTUAL_SUFFIXES.some(suffix => normalized.endsWith(suffix))) {
+    const sourceFile = findSourceFile(normalized, ROOT);
+    return sourceFile ? { files: [sourceFile], node: normalized } : null;
+  }
+  if (!fs.existsSync(targetPath)) {
+    return null;
+  }
+  if (fs.statSync(targetPath).isDirectory()) {
+    const prefix = normalized ? normalized + '/' : '';
+    return { files: collectEntries(ROOT).files.filter(file => file.startsWith(prefix)), node: null };
+  }
+  return { files: [normalized], node: null };
+}
+
+// Keep the entries of a { virtualPath: messages } map that belong to node
+// (the node itself and, for a class, its methods)
+function pickNodes(nodes, node) {
+  const picked = {};
+  for (const [nodePath, messages] of Object.entries(nodes)) {
+    if (nodePath === node || nodePath.startsWith(node + '/')) {
+      picked[nodePath] = messages;
+    }
+  }
+  return picked;
+}
+
+// Count lines the way editors do (a trailing newline doesn't start a new line)
+function countLines(content) {
+  if (!content) return 0;
+  const lines = content.split('\n').length;
+  return content.endsWith('\n') ? lines - 1 : lines;
+}
+
+// lineLimit: files with more lines than the limit
+function checkLineLimit(context) {
+  const violations = [];
+  for (const file of context.files) {
+    const rule = context.ruleFor('lineLimit', file);
+    if (!rule) continue;
+
+    let content;
+    try {
+      content = context.read(file);
+    } catch (e) {
+      continue;
+    }
+    // Skip binary files
+    if (content.includes('\u0000')) continue;
+
+    const lines = countLines(content);
+    if (lines > rule.limit) {
+      violations.push({
+        rule: 'lineLimit',
+        path: file,
+        value: lines,
+        limit: rule.limit,
+        message: `${lines} lines (limit ${rule.limit})`
+      });
+    }
+  }
+  return violations;
+}
+
+// folderLimit: folders with more direct children than the limit
+// The repo root itself is not checked. Items are counted over the whole repo
+// (context.all), since an incremental run only checks some of them
+function checkFolderLimit(context) {
+  const counts = new Map(context.folders.map(folder => [folder, 0]));
+  for (const entry of [...context.all.folders, ...context.all.files]) {
+    const parent = path.posix.dirname(entry);
+    if (counts.has(parent)) {
+      counts.set(parent, counts.get(parent) + 1);
+    }
+  }
+
+  const violations = [];
+  for (const [folder, count] of counts) {
+    const rule = context.ruleFor('folderLimit', folder + '/');
+    if (rule && count > rule.limit) {
+      violations.push({
+        rule: 'folderLimit',
+        path: folder + '/',
+        value: count,
+        limit: rule.limit,
+        message: `${count} items (limit ${rule.limit})`
+      });
+    }
+  }
+  return violations;
+}
+
+// Folder names that hold tests, either next to the source or mirroring it from the repo root
+const TEST_DIRS = ['__tests__', 'tests', 'test'];
+
+// testCheck patterns map a source extension to a test suffix, either as a plain
+// string ('.jsx': '.test.jsx') or with a directory strategy
+// ('.jsx': { suffix: '.test.jsx', directory: 'nested' }). Strategies:
+//   adjacent  src/Button.test.jsx
+//   nested    src/__tests__/Button.test.jsx (or tests/, test/)
+//   mirror    tests/src/Button.test.jsx or tests/Button.test.jsx (src/ stripped)
+//   any       any of the above (default)
+function testPatterns(rule) {
+  return Object.entries(rule.patterns || {}).map(([ext, pattern]) => {
+    if (typeof pattern === 'string') {
+      return { ext, suffix: pattern, directory: 'any' };
+    }
+    return { ext, suffix: pattern.suffix, directory: pattern.directory || 'any' };
+  });
+}
+
+function isTestFile(file, patterns) {
+  if (patterns.some(pattern => file.endsWith(pattern.suffix))) return true;
+  if (/\.(test|spec)\.[^/]+$/.test(file)) return true;
+  return file.split('/').some(segment => TEST_DIRS.includes(segment));
+}
+
+// Paths where a test for file could live, most conventional first
+function testCandidates(file, pattern) {
+  const dir = path.posix.dirname(file);
+  const name = path.posix.basename(file, pattern.ext) + pattern.suffix;
+  const withoutSrc = dir.replace(/^src(\/|$)/, '');
+
+  const adjacent = [path.posix.join(dir, name)];
+  const nested = TEST_DIRS.map(testDir => path.posix.join(dir, testDir, name));
+  const mirror = TEST_DIRS.flatMap(testDir => [
+    path.posix.join(testDir, dir, name),
+    path.posix.join(testDir, withoutSrc, name)
+  ]);
+
+  switch (pattern.directory) {
+    case 'adjacent': return adjacent;
+    case 'nested': return nested;
+    case 'mirror': return mirror;
+    default: return [...adjacent, ...nested, ...mirror];
+  }
+}
+
+// Source files matching a testCheck pattern that have no test file on disk.
+// ruleFor(file) gives the testCheck settings for a file, or null to skip it
+function findMissingTests(files, ruleFor, root = ROOT) {
+  const missing = [];
+
+  for (const file of files) {
+    const rule = ruleFor(file);
+    if (!rule) continue;
+
+    const patterns = testPatterns(rule);
+    const pattern = patterns.find(p => file.endsWith(p.ext));
+    if (!pattern || isTestFile(file, patterns)) continue;
+
+    const candidates = testCandidates(file, pattern);
+    if (!candidates.some(candidate => fs.existsSync(path.join(root, candidate)))) {
+      missing.push({ path: file, expected: candidates[0] });
+    }
+  }
+  return missing;
+}
+
+// Function-level rules, measured on the .function/.method virtual nodes
+const FUNCTION_RULES = {
+  functionLimit: { measure: node => node.endLine - node.startLine + 1, unit: 'lines' },
+  complexityLimit: { measure: node => node.complexity, unit: 'complexity' }
+};
+
+// Functions and methods over a function-level rule's limit, as violations on
+// the source file with the virtual node path in node.
+// nodesFor(file) returns the file's virtual nodes (cached by runChecks)
+function findFunctionViolations(ruleName, files, ruleFor, nodesFor) {
+  const { measure, unit } = FUNCTION_RULES[ruleName];
+  const violations = [];
+
+  for (const file of files) {
+    const rule = ruleFor(file);
+    if (!rule) continue;
+
+    for (const node of nodesFor(file)) {
+      if (node.type !== 'function' && node.type !== 'method') continue;
+      const value = measure(node);
+      if (typeof value !== 'number' || value <= rule.limit) continue;
+
+      const label = unit === 'lines' ? `${value} lines` : `complexity ${value}`;
+      violations.push({
+        rule: ruleName,
+        path: file,
+        node: node.path,
+        line: node.startLine,
+        value,
+        limit: rule.limit,
+        message: `${node.name}: ${label} (limit ${rule.limit})`
+      });
+    }
+  }
+  return violations;
+}
+
+// functionLimit: functions and methods with more lines than the limit
+function checkFunctionLimit(context) {
+  return findFunctionViolations('functionLimit', context.files, file => context.ruleFor('functionLimit', file), context.nodesFor);
+}
+
+// complexityLimit: functions and methods with a higher cyclomatic complexity than the limit
+function checkComplexityLimit(context) {
+  return findFunctionViolations('complexityLimit', context.files, file => context.ruleFor('complexityLimit', file), context.nodesFor);
+}
+
+// duplicateCheck: groups of near-duplicate functions and methods, one violation
+// per copy. The whole repo is compared, so an incremental run still catches a
+// changed function that copies an unchanged one
+function checkDuplicates(context) {
+  const checked = new Set(context.files);
+  const groups = findDuplicates(
+    context.all.files,
+    context.nodesFor,
+    file => context.ruleFor('duplicateCheck', file),
+    file => checked.has(file)
+  );
+
+  const violations = [];
+  for (const group of groups) {
+    for (const member of group.members) {
+      if (!checked.has(member.path)) continue;
+      const similarity = Math.round(group.similarity * 100);
+      const others = group.members
+        .filter(other => other !== member)
+        .map(other => `${other.name} (${other.path}:${other.startLine})`);
+      violations.push({
+        rule: 'duplicateCheck',
+        path: member.path,
+        node: member.node,
+        line: member.startLine,
+        value: similarity,
+        message: `${member.name} duplicates ${others.join(', ')}, ${similarity}% similar`
+      });
+    }
+  }
+  return violations;
+}
+
+// Exports nothing in the repo imports, as violations on files where the rule is
+// enabled. Imports are resolved across all of entries ({ files, folders }), so an
+// incremental run still sees every importer. The top-level allow list also makes
+// re-exports used; an override's allow list only hides its files' exports.
+// node is the virtual path of the exported function or class, when the export is one.
+// read(file) replaces reading files from disk (staged content, for instance)
+function findDeadExportViolations(files, entries, ruleFor, nodesFor, config, read) {
+  const enabled = files.filter(file => ruleFor(file));
+  if (enabled.length === 0) {
+    return [];
+  }
+  if (!parserInstalled()) {
+    console.warn('@babel/parser is not installed, skipping the deadExportCheck rule');
+    return [];
+  }
+
+  const checked = new Set(enabled);
+  const allow = (config.deadExportCheck && config.deadExportCheck.allow) || [];
+  return findDeadExports(ROOT, entries, allow, read)
+    .filter(dead => checked.has(dead.path) && !isAllowed(ruleFor(dead.path).allow || [], dead.path, dead.name))
+    .map(dead => {
+      const node = nodesFor(dead.path).find(candidate =>
+        (candidate.type === 'function' || candidate.type === 'class') && candidate.name === dead.local);
+      return {
+        rule: 'deadExportCheck',
+        path: dead.path,
+        ...(node ? { node: node.path } : {}),
+        line: dead.line,
+        message: dead.name === 'default'
+          ? 'default export is never imported'
+          : `'${dead.name}' is exported but never imported`
+      };
+    });
+}
+
+// deadExportCheck: exports no other module imports
+function checkDeadExports(context) {
+  return findDeadExportViolations(
+    context.files,
+    context.all,
+    file => context.ruleFor('deadExportCheck', file),
+    context.nodesFor,
+    context.config,
+    context.read
+  );
+}
+
+// testCheck: source files without a matching test
+function checkTestCheck(context) {
+  const ruleFor = file => context.ruleFor('testCheck', file);
+  return findMissingTests(context.files, ruleFor, context.root).map(({ path: file, expected }) => ({
+    rule: 'testCheck',
+    path: file,
+    message: `no test file (expected ${expected})`
+  }));
+}
+
+// eslint: problems from the project's ESLint config (or config.json's rules).
+// Files are linted in groups that share the same effective eslint settings
+async function checkEslint(context) {
+  const groups = new Map();
+  for (const file of context.files) {
+    const rule = context.ruleFor('eslint', file);
+    if (!rule) continue;
+
+    const key = JSON.stringify(rule.rules || []);
+    if (!groups.has(key)) groups.set(key, { rule, files: [] });
+    groups.get(key).files.push(file);
+  }
+
+  const violations = [];
+  for (const { rule, files } of groups.values()) {
+    const results = await lintFiles(files, rule, context.staged ? context.read : undefined);
+    if (!results) {
+      // Not installed applies to every group, so stop with what was found so far
+      console.warn('eslint is not installed, skipping the eslint rule');
+      return violations;
+    }
+
+    violations.push(...results.flatMap(result => result.messages.map(m => ({
+      rule: 'eslint',
+      path: result.path,
+      line: m.line,
+      column: m.column,
+      severity: m.severity,
+      ruleId: m.ruleId,
+      message: m.message
+    }))));
+  }
+  return violations;
+}
+
+// typescript: type errors from the repo's tsconfig.json (or inferred settings)
+function checkTypescript(context) {
+  if (!context.files.some(file => context.ruleFor('typescript', file))) {
+    return [];
+  }
+
+  const result = typeCheck(context.files, context.staged ? context.read : undefined);
+  if (!result) {
+    console.warn('typescript is not installed, skipping the typescript rule');
+    return [];
+  }
+
+  // With a tsconfig.json the whole project is checked; report only the files asked for
+  const checked = new Set(context.files);
+  const enabled = result.files.filter(file => checked.has(file.path) && context.ruleFor('typescript', file.path));
+  return enabled.flatMap(file => file.diagnostics.map(d => ({
+    rule: 'typescript',
+    path: file.path,
+    line: d.line,
+    column: d.column,
+    severity: d.severity,
+    ruleId: d.ruleId,
+    message: d.message
+  })));
+}
+
+// unusedCheck: unused imports, variables and parameters from scope analysis
+// over the Babel AST, for repos without an ESLint setup
+function checkUnused(context) {
+  const files = context.files.filter(file =>
+    isParsable(file) && !file.endsWith('.d.ts') && context.ruleFor('unusedCheck', file));
+  if (files.length === 0) {
+    return [];
+  }
+  if (!parserInstalled()) {
+    console.warn('@babel/parser is not installed, skipping the unusedCheck rule');
+    return [];
+  }
+
+  const violations = [];
+  for (const file of files) {
+    const rule = context.ruleFor('unusedCheck', file);
+    let content;
+    try {
+      content = context.read(file);
+    } catch (e) {
+      continue;
+    }
+
+    for (const unused of findUnused(content, file) || []) {
+      if (unused.kind === 'parameter' && rule.parameters === false) continue;
+      violations.push({
+        rule: 'unusedCheck',
+        path: file,
+        line: unused.line,
+        column: unused.column,
+        ruleId: 'unused-' + unused.kind,
+        message: unused.message
+      });
+    }
+  }
+  return violations;
+}
+
+// Rule name in config.json -> check function
+const RULES = {
+  lineLimit: checkLineLimit,
+  folderLimit: checkFolderLimit,
+  testCheck: checkTestCheck,
+  eslint: checkEslint,
+  typescript: checkTypescript,
+  unusedCheck: checkUnused,
+  functionLimit: checkFunctionLimit,
+  complexityLimit: checkComplexityLimit,
+  duplicateCheck: checkDuplicates,
+  deadExportCheck: checkDeadExports
+};
+
+// One-line description of a violation: position and rule id when it has them
+function describeViolation(violation) {
+  let text = violation.message;
+  if (violation.line) {
+    text = `${violation.column ? `${violation.line}:${violation.column}` : violation.line} ${text}`;
+  }
+  if (violation.ruleId) {
+    text += ` (${violation.ruleId})`;
+  }
+  return text;
+}
+
+// Run the rules from config against the repo. Each rule checks only the files
+// where it's enabled after overrides (see overrides.js).
+// Violations are errors unless they carry severity: 'warning' (or 'info').
+// With options.since (a git ref) or options.staged, only changed files and folders
+// are checked (see git.js); outside a git repo every file is checked.
+// Violations disabled by bonzai-disable comments or .bonzaikeep markers are
+// returned separately as suppressed, along with the suppressions themselves
+async function runChecks(config, options = {}) {
+  const entries = collectEntries(ROOT);
+  const { ruleFor } = createResolver(config, entries.files);
+
+  // .bonzai.json and .bonzaikeep files configure the checks rather than being checked
+  const isMarker = file => [DIRECTORY_CONFIG, KEEP_MARKER].includes(path.posix.basename(file));
+  const markers = entries.files.filter(file => path.posix.basename(file) === KEEP_MARKER);
+  let files = entries.files.filter(file => !isMarker(file));
+  let folders = entries.folders;
+  const all = { files, folders };
+  let changed = null;
+
+  if (options.since || options.staged) {
+    changed = changedEntries(ROOT, options);
+    if (changed) {
+      const changedFiles = new Set(changed.files);
+      const changedFolders = new Set(changed.folders);
+      files = files.filter(file => changedFiles.has(file));
+      folders = folders.filter(folder => changedFolders.has(folder));
+    } else {
+      console.warn(options.staged
+        ? 'Not a git repository, checking every file'
+        : `Could not diff against "${options.since}" (not a git repository or unknown ref), checking every file`);
+    }
+  }
+
+  // With --staged, files are checked as they are in the index, not the work tree
+  const staged = Boolean(options.staged && changed);
+  const read = staged ? stagedReader(ROOT) : file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+
+  // Files are parsed into virtual nodes once, for all function-level rules
+  const nodeCache = new Map();
+  const nodesFor = file => {
+    if (!nodeCache.has(file)) {
+      let content;
+      try {
+        content = read(file);
+      } catch (e) {
+        content = null;
+      }
+      nodeCache.set(file, content === null ? [] : virtualNodes(path.join(ROOT, file), file, content));
+    }
+    return nodeCache.get(file);
+  };
+
+  const context = { root: ROOT, config, ruleFor, files, folders, all, nodesFor, read, staged };
+  const violations = [];
+
+  for (const check of Object.values(RULES)) {
+    violations.push(...await check(context));
+  }
+
+  const suppressions = collectSuppressions(ROOT, [...markers, ...files], read);
+  const { violations: reported, suppressed } = applySuppressions(violations, suppressions);
+
+  return {
+    violations: reported,
+    suppressed,
+    suppressions,
+    files: context.files.length,
+    folders: context.folders.length,
+    // Checked paths (folders with a trailing slash) for an incremental run, else null
+    scope: changed ? [...files, ...folders.map(folder => folder + '/')] : null
+  };
+}
+
+module.exports = {
+  RULES,
+  collectEntries,
+  resolveQueryPath,
+  pickNodes,
+  countLines,
+  findMissingTests,
+  findFunctionViolations,
+  findDeadExportViolations,
+  describeViolation,
+  runChecks
+};
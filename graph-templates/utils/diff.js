@@ -0,0 +1,85 @@
+// Line edits: [{ start, end, lines }] replaces lines start..end (1-based, inclusive)
+// of the original with lines (empty to delete them). Edits must not overlap
+
+const CONTEXT_LINES = 3;
+
+function applyLineEdits(content, edits) {
+  const original = content.split('\n');
+  const output = [];
+  let next = 1;
+  for (const edit of [...edits].sort((a, b) => a.start - b.start)) {
+    output.push(...original.slice(next - 1, edit.start - 1), ...edit.lines);
+    next = edit.end + 1;
+  }
+  output.push(...original.slice(next - 1));
+  return output.join('\n');
+}
+
+// Drop lines an edit leaves unchanged at its start and end, so they show as context
+function trimEdit(original, edit) {
+  let { start, end } = edit;
+  let lines = edit.lines;
+  while (start <= end && lines.length > 0 && original[start - 1] === lines[0]) {
+    start++;
+    lines = lines.slice(1);
+  }
+  while (start <= end && lines.length > 0 && original[end - 1] === lines[lines.length - 1]) {
+    end--;
+    lines = lines.slice(0, -1);
+  }
+  return { start, end, lines };
+}
+
+// Unified diff of the edits, with a few lines of context around each change
+function formatDiff(file, content, edits) {
+  const original = content.split('\n');
+  const sorted = edits
+    .map(edit => trimEdit(original, edit))
+    .filter(edit => edit.start <= edit.end || edit.lines.length > 0)
+    .sort((a, b) => a.start - b.start);
+
+  // Group edits whose context overlaps into one hunk
+  const hunks = [];
+  for (const edit of sorted) {
+    const last = hunks[hunks.length - 1];
+    if (last && edit.start - last.edits[last.edits.length - 1].end <= CONTEXT_LINES * 2 + 1) {
+      last.edits.push(edit);
+    } else {
+      hunks.push({ edits: [edit] });
+    }
+  }
+
+  let diff = `--- a/${file}\n+++ b/${file}\n`;
+  let shift = 0;
+  for (const hunk of hunks) {
+    const first = hunk.edits[0];
+    const last = hunk.edits[hunk.edits.length - 1];
+    const from = Math.max(1, first.start - CONTEXT_LINES);
+    const to = Math.min(original.length, last.end + CONTEXT_LINES);
+
+    const body = [];
+    let line = from;
+    let removed = 0;
+    let added = 0;
+    for (const edit of hunk.edits) {
+      for (; line < edit.start; line++) body.push(' ' + original[line - 1]);
+      for (; line <= edit.end; line++, removed++) body.push('-' + original[line - 1]);
+      for (const text of edit.lines) {
+        body.push('+' + text);
+        added++;
+      }
+    }
+    for (; line <= to; line++) body.push(' ' + original[line - 1]);
+
+    const oldCount = to - from + 1;
+    const newCount = oldCount - removed + added;
+    diff += `@@ -${from},${oldCount} +${from + shift},${newCount} @@\n${body.join('\n')}\n`;
+    shift += added - removed;
+  }
+  return diff;
+}
+
+module.exports = {
+  applyLineEdits,
+  formatDiff
+};
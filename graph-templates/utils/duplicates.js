@@ -0,0 +1,179 @@
+// Clone detection over the .function/.method virtual nodes. Each function is
+// tokenized with identifiers and literals normalized (so renamed copies still
+// match), fingerprinted as the set of hashes of every WINDOW-token window, and
+// compared to the others sharing a fingerprint by Jaccard similarity
+
+const WINDOW = 10;
+// Windows found in more functions than this are boilerplate, not evidence of copying
+const MAX_SHARED = 50;
+const DEFAULTS = { similarity: 0.85, minTokens: 40 };
+
+const JS_KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield', 'of', 'get', 'set'
+]);
+const PYTHON_KEYWORDS = new Set([
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif',
+  'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is',
+  'lambda', 'None', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'self', 'True', 'try',
+  'while', 'with', 'yield'
+]);
+
+const TOKEN = /("""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`)|(\d[\w.]*)|([A-Za-z_$][\w$]*)|(=>|===|!==|==|!=|<=|>=|&&|\|\||\?\?|\?\.|\*\*|\+\+|--|[-+*/%=<>!&|^~?:;,.(){}[\]@])/g;
+
+// Normalized tokens of a function's source: keywords and punctuation as-is,
+// identifiers as ID, strings as STR and numbers as NUM
+function tokenize(source, python) {
+  const keywords = python ? PYTHON_KEYWORDS : JS_KEYWORDS;
+  const code = python
+    ? source.replace(/#.*$/gm, '')
+    : source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
+
+  const tokens = [];
+  for (const match of code.matchAll(TOKEN)) {
+    const [, string, number, word, punctuation] = match;
+    if (string) tokens.push('STR');
+    else if (number) tokens.push('NUM');
+    else if (word) tokens.push(keywords.has(word) ? word : 'ID');
+    else if (punctuation) tokens.push(punctuation);
+  }
+  return tokens;
+}
+
+// 32-bit FNV-1a
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function fingerprint(tokens) {
+  const hashes = new Set();
+  for (let i = 0; i + WINDOW <= tokens.length; i++) {
+    hashes.add(hash(tokens.slice(i, i + WINDOW).join(' ')));
+  }
+  return hashes;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const h of a) {
+    if (b.has(h)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function overlaps(a, b) {
+  return a.file === b.file && a.startLine <= b.endLine && b.startLine <= a.endLine;
+}
+
+// Groups of near-duplicate functions among files.
+//   nodesFor(file)   the file's virtual nodes (fileList.virtualNodes)
+//   settingsFor(file) { similarity, minTokens } for functions in file, or null to skip it
+//   report(file)     whether groups need a member in file (e.g. changed files only); default all
+// Returns [{ similarity, members: [{ path, node, name, startLine, endLine, tokens }],
+// pairs: [{ a, b, similarity }] }], most similar first. A group's similarity is its
+// weakest matched pair; a function nested in another isn't compared with it
+function findDuplicates(files, nodesFor, settingsFor, report = () => true) {
+  const functions = [];
+  for (const file of files) {
+    const settings = settingsFor(file);
+    if (!settings) continue;
+    const { minTokens } = { ...DEFAULTS, ...settings };
+
+    for (const node of nodesFor(file)) {
+      if ((node.type !== 'function' && node.type !== 'method') || !node.content) continue;
+      const tokens = tokenize(node.content, file.endsWith('.py'));
+      if (tokens.length < minTokens) continue;
+      functions.push({
+        file,
+        node,
+        tokens: tokens.length,
+        hashes: fingerprint(tokens),
+        similarity: { ...DEFAULTS, ...settings }.similarity,
+        startLine: node.startLine,
+        endLine: node.endLine
+      });
+    }
+  }
+
+  // Only functions sharing at least one window hash are compared
+  const byHash = new Map();
+  functions.forEach((fn, index) => {
+    for (const h of fn.hashes) {
+      if (!byHash.has(h)) byHash.set(h, []);
+      byHash.get(h).push(index);
+    }
+  });
+
+  const candidates = new Set();
+  for (const indexes of byHash.values()) {
+    if (indexes.length > MAX_SHARED) continue;
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        candidates.add(indexes[i] * functions.length + indexes[j]);
+      }
+    }
+  }
+
+  // Union-find over the matched pairs
+  const parent = functions.map((fn, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const pairs = [];
+  for (const key of candidates) {
+    const i = Math.floor(key / functions.length);
+    const j = key % functions.length;
+    const a = functions[i];
+    const b = functions[j];
+    if (overlaps(a, b)) continue;
+
+    const similarity = jaccard(a.hashes, b.hashes);
+    if (similarity >= Math.max(a.similarity, b.similarity)) {
+      pairs.push({ i, j, similarity });
+      parent[find(i)] = find(j);
+    }
+  }
+
+  const groups = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.i);
+    if (!groups.has(root)) groups.set(root, { members: new Set(), pairs: [] });
+    const group = groups.get(root);
+    group.members.add(pair.i).add(pair.j);
+    group.pairs.push(pair);
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+  const member = index => ({
+    path: functions[index].file,
+    node: functions[index].node.path,
+    name: functions[index].node.name,
+    startLine: functions[index].startLine,
+    endLine: functions[index].endLine,
+    tokens: functions[index].tokens
+  });
+
+  return [...groups.values()]
+    .filter(group => [...group.members].some(index => report(functions[index].file)))
+    .map(group => ({
+      similarity: round(Math.min(...group.pairs.map(pair => pair.similarity))),
+      members: [...group.members].sort((a, b) => a - b).map(member),
+      pairs: group.pairs.map(pair => ({
+        a: functions[pair.i].node.path,
+        b: functions[pair.j].node.path,
+        similarity: round(pair.similarity)
+      }))
+    }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+module.exports = {
+  DEFAULTS,
+  tokenize,
+  findDuplicates
+};
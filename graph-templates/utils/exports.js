@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSource, isParsable, walk } = require('./ast');
+const { globToRegExp } = require('./overrides');
+
+// Dead export detection: every module's exports (ESM and CommonJS) against
+// every import of it in the repo. Re-exports pass usage through, and package.json
+// entry points and allowlisted files count as fully used.
+// Names are export names; 'default' is the default export (or module.exports = x)
+// and '*' means every export (namespace imports, require() of the whole module)
+
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue'];
+// TypeScript ESM imports name the compiled file: './a.js' is ./a.ts
+const COMPILED_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+function nameOf(node) {
+  return node.type === 'StringLiteral' ? node.value : node.name;
+}
+
+// Variables a pattern declares (`{ a, b: [c], ...d }` -> a, c, d)
+function patternNames(pattern) {
+  if (!pattern) return [];
+  switch (pattern.type) {
+    case 'Identifier':
+      return [pattern.name];
+    case 'ObjectPattern':
+      return pattern.properties.flatMap(property =>
+        patternNames(property.type === 'RestElement' ? property.argument : property.value));
+    case 'ArrayPattern':
+      return pattern.elements.flatMap(patternNames);
+    case 'AssignmentPattern':
+      return patternNames(pattern.left);
+    case 'RestElement':
+      return patternNames(pattern.argument);
+    default:
+      return [];
+  }
+}
+
+// Names a declaration exports: function/class/enum ids, or every declared variable
+function declaredNames(declaration) {
+  if (declaration.type === 'VariableDeclaration') {
+    return declaration.declarations.flatMap(declarator => patternNames(declarator.id));
+  }
+  return declaration.id && declaration.id.name ? [declaration.id.name] : [];
+}
+
+function isModuleExports(node) {
+  return node.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === 'module' &&
+    node.property.name === 'exports';
+}
+
+// `exports.a` or `module.exports.a` -> 'a'
+function commonJsExportName(node) {
+  if (node.type !== 'MemberExpression' || node.computed) return null;
+  const target = node.object;
+  if ((target.type === 'Identifier' && target.name === 'exports') || isModuleExports(target)) {
+    return node.property.name;
+  }
+  return null;
+}
+
+// Local name behind an exported value, so it can be matched to a function/class node
+function localName(value) {
+  if (!value) return null;
+  if (value.type === 'Identifier') return value.name;
+  return value.id && value.id.name ? value.id.name : null;
+}
+
+// Names used from a require() call, from how its result is used
+function requiredNames(parent, key) {
+  if (parent && parent.type === 'VariableDeclarator' && key === 'init' && parent.id.type === 'ObjectPattern') {
+    if (parent.id.properties.some(property => property.type === 'RestElement')) return ['*'];
+    return parent.id.properties.map(property => property.computed ? '*' : nameOf(property.key));
+  }
+  if (parent && parent.type === 'MemberExpression' && key === 'object' && !parent.computed) {
+    return [parent.property.name];
+  }
+  return ['*'];
+}
+
+// Imports, exports and re-exports of one parsed file:
+//   exports   [{ name, local, line }]
+//   imports   [{ source, names }]
+//   reexports [{ source, imported, exported }] ('*' for `export * from`)
+function moduleInfo(ast) {
+  const info = { exports: [], imports: [], reexports: [] };
+  const addExport = (name, local, node) => {
+    info.exports.push({ name, local, line: node.loc ? node.loc.start.line : null });
+  };
+
+  walk(ast.program, (node, parent, key) => {
+    switch (node.type) {
+      case 'ImportDeclaration': {
+        const names = node.specifiers.map(specifier => {
+          if (specifier.type === 'ImportDefaultSpecifier') return 'default';
+          if (specifier.type === 'ImportNamespaceSpecifier') return '*';
+          return nameOf(specifier.imported);
+        });
+        info.imports.push({ source: node.source.value, names });
+        return false;
+      }
+      case 'ExportNamedDeclaration':
+        if (node.source) {
+          for (const specifier of node.specifiers) {
+            const imported = specifier.type === 'ExportNamespaceSpecifier' ? '*'
+              : specifier.type === 'ExportDefaultSpecifier' ? 'default' : nameOf(specifier.local);
+            info.reexports.push({ source: node.source.value, imported, exported: nameOf(specifier.exported) });
+          }
+        } else if (node.declaration) {
+          for (const name of declaredNames(node.declaration)) addExport(name, name, node);
+        } else {
+          for (const specifier of node.specifiers) {
+            addExport(nameOf(specifier.exported), nameOf(specifier.local), node);
+          }
+        }
+        break;
+      case 'ExportDefaultDeclaration':
+        addExport('default', localName(node.declaration), node);
+        break;
+      case 'ExportAllDeclaration':
+        info.reexports.push({ source: node.source.value, imported: '*', exported: node.exported ? nameOf(node.exported) : '*' });
+        break;
+      case 'TSExportAssignment':
+        addExport('default', localName(node.expression), node);
+        break;
+      case 'AssignmentExpression': {
+        if (isModuleExports(node.left)) {
+          if (node.right.type === 'ObjectExpression') {
+            // module.exports = { a, b: c, d() {} }
+            for (const property of node.right.properties) {
+              if (property.type === 'SpreadElement' || property.computed) continue;
+              const value = property.type === 'ObjectMethod' ? null : property.value;
+              addExport(nameOf(property.key), localName(value) || nameOf(property.key), property);
+            }
+          } else {
+            addExport('default', localName(node.right), node);
+          }
+        } else {
+          const name = commonJsExportName(node.left);
+          if (name) addExport(name, localName(node.right) || name, node);
+        }
+        break;
+      }
+      case 'CallExpression': {
+        const [argument] = node.arguments;
+        if (!argument || argument.type !== 'StringLiteral') break;
+        if (node.callee.type === 'Import') {
+          info.imports.push({ source: argument.value, names: ['*'] });
+        } else if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+          info.imports.push({ source: argument.value, names: requiredNames(parent, key) });
+        }
+        break;
+      }
+      case 'ImportExpression':
+        if (node.source.type === 'StringLiteral') {
+          info.imports.push({ source: node.source.value, names: ['*'] });
+        }
+        break;
+    }
+  });
+  return info;
+}
+
+// Repo file an import specifier refers to, or null for packages and missing files
+function resolveImport(from, specifier, fileSet) {
+  if (!specifier.startsWith('.')) return null;
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(from), specifier));
+  const candidates = [base];
+  for (const ext of RESOLVE_EXTENSIONS) candidates.push(base + ext);
+  for (const ext of RESOLVE_EXTENSIONS) candidates.push(base + '/index' + ext);
+  const ext = path.posix.extname(base);
+  for (const compiled of COMPILED_EXTENSIONS[ext] || []) {
+    candidates.push(base.slice(0, -ext.length) + compiled);
+  }
+  return candidates.find(candidate => fileSet.has(candidate)) || null;
+}
+
+// Every string in a package.json exports map (conditions and subpaths nest)
+function exportTargets(value) {
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap(exportTargets);
+  if (value && typeof value === 'object') return Object.values(value).flatMap(exportTargets);
+  return [];
+}
+
+// Repo files named by main/module/browser/bin/exports of the package.json in the
+// root or any folder (package.json itself is hidden from the file list)
+function packageEntryPoints(root, files, folders, fileSet) {
+  const entries = new Set();
+  for (const dir of ['.', ...folders]) {
+    const manifest = path.join(root, dir, 'package.json');
+    if (!fs.existsSync(manifest)) continue;
+    let pkg;
+    try {
+      pkg = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+    } catch (e) {
+      console.warn(`Could not read ${path.posix.join(dir, 'package.json')}:`, e.message);
+      continue;
+    }
+
+    const targets = [pkg.main, pkg.module, typeof pkg.browser === 'string' ? pkg.browser : null]
+      .concat(typeof pkg.bin === 'object' && pkg.bin ? Object.values(pkg.bin) : [pkg.bin])
+      .concat(exportTargets(pkg.exports))
+      .filter(target => typeof target === 'string');
+    if (targets.length === 0 && fileSet.has(path.posix.join(dir, 'index.js'))) {
+      // Node's default entry point
+      targets.push('index.js');
+    }
+
+    for (const target of targets) {
+      const joined = path.posix.join(dir, target);
+      if (joined.includes('*')) {
+        // Subpath patterns: "./features/*": "./src/features/*.js"
+        const pattern = globToRegExp(joined);
+        for (const file of files) {
+          if (pattern.test(file)) entries.add(file);
+        }
+      } else {
+        const resolved = resolveImport('', './' + joined, fileSet);
+        if (resolved) entries.add(resolved);
+      }
+    }
+  }
+  return entries;
+}
+
+// Whether an allow list entry covers export name of file ('glob' or 'glob#name')
+function isAllowed(allow, file, name) {
+  return allow.some(rule => {
+    const [glob, allowed] = rule.split('#');
+    return globToRegExp(glob).test(file) && (!allowed || allowed === name);
+  });
+}
+
+// Exports no other module imports: [{ path, name, local, line }].
+//   entries  { files, folders } of the whole repo (see collectEntries)
+//   allow    globs of files whose exports are all used, or 'glob#name' for one export
+//   read     reads a repo-relative file (defaults to the content on disk)
+function findDeadExports(root, { files, folders }, allow = [], read = file => fs.readFileSync(path.join(root, file), 'utf8')) {
+  const fileSet = new Set(files);
+  const modules = new Map();
+  for (const file of files) {
+    if (!isParsable(file) || file.endsWith('.d.ts')) continue;
+    let content;
+    try {
+      content = read(file);
+    } catch (e) {
+      continue;
+    }
+    const parsed = parseSource(content, file);
+    if (!parsed) continue;
+
+    const info = moduleInfo(parsed.ast);
+    for (const entry of [...info.imports, ...info.reexports]) {
+      entry.file = resolveImport(file, entry.source, fileSet);
+    }
+    modules.set(file, info);
+  }
+
+  // used: file -> Set of export names. Marking a name follows re-exports to their source
+  const used = new Map();
+  const queue = [];
+  const mark = (file, name) => {
+    if (!modules.has(file)) return;
+    if (!used.has(file)) used.set(file, new Set());
+    const names = used.get(file);
+    if (names.has(name) || names.has('*')) return;
+    names.add(name);
+    queue.push([file, name]);
+  };
+
+  for (const info of modules.values()) {
+    for (const entry of info.imports) {
+      for (const name of entry.names) mark(entry.file, name);
+    }
+  }
+  for (const file of packageEntryPoints(root, files, folders, fileSet)) mark(file, '*');
+  for (const rule of allow) {
+    const [glob, name] = rule.split('#');
+    const pattern = globToRegExp(glob);
+    for (const file of modules.keys()) {
+      if (pattern.test(file)) mark(file, name || '*');
+    }
+  }
+
+  while (queue.length > 0) {
+    const [file, name] = queue.shift();
+    const info = modules.get(file);
+    const own = new Set(info.exports.map(entry => entry.name));
+    for (const reexport of info.reexports) {
+      if (reexport.exported === '*') {
+        // export * from: names this module doesn't define itself (never default)
+        if (name === '*') mark(reexport.file, '*');
+        else if (name !== 'default' && !own.has(name)) mark(reexport.file, name);
+      } else if (name === '*' || name === reexport.exported) {
+        mark(reexport.file, reexport.imported);
+      }
+    }
+  }
+
+  const dead = [];
+  for (const [file, info] of modules) {
+    const names = used.get(file) || new Set();
+    if (names.has('*')) continue;
+    for (const entry of info.exports) {
+      if (!names.has(entry.name)) dead.push({ path: file, ...entry });
+    }
+  }
+  return dead;
+}
+
+module.exports = {
+  resolveImport,
+  isAllowed,
+  findDeadExports
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+// Run git in root and return stdout, or null if git fails (not a repo, unknown ref,
+// git not installed)
+function git(root, args) {
+  try {
+    return execFileSync('git', args, {
+      cwd: root,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+// Parse `git diff --name-status -z` output into [{ status, path }]
+function parseNameStatus(output) {
+  const fields = output.split('\0').filter(Boolean);
+  const changes = [];
+  for (let i = 0; i + 1 < fields.length; i += 2) {
+    changes.push({ status: fields[i][0], path: fields[i + 1] });
+  }
+  return changes;
+}
+
+// Folders that existed at ref, relative to root (an empty set if ref has no commits yet)
+function foldersAt(root, ref) {
+  const output = git(root, ['ls-tree', '-r', '-d', '-z', '--name-only', ref]);
+  return new Set(output ? output.split('\0').filter(Boolean) : []);
+}
+
+// Whether root is inside a git work tree
+function isWorkTree(root) {
+  return git(root, ['rev-parse', '--is-inside-work-tree']) !== null;
+}
+
+// Commit SHA a ref (branch, tag, SHA, HEAD~2...) names, or null if it names none.
+// Refs come from the CLI and from /list?since=, and git would read one starting
+// with - as an option (--output=<file> writes a file), so those are never passed on
+function resolveCommit(root, ref) {
+  if (typeof ref !== 'string' || !ref || ref.startsWith('-')) {
+    return null;
+  }
+  const sha = git(root, ['rev-parse', '--verify', '--quiet', '--end-of-options', ref + '^{commit}']);
+  return sha ? sha.trim() : null;
+}
+
+// Files and folders changed since a git ref, or staged for commit, relative to root:
+//   { since: 'main' }   committed, staged and unstaged changes since main, plus untracked files
+//   { staged: true }    what `git commit` would record
+// Folders are the ones whose item count changed (a file or subfolder was added or
+// removed). Returns { files, folders } (forward slashes, no trailing slash), or null
+// if root isn't inside a git work tree or the ref doesn't exist
+function changedEntries(root, { since, staged } = {}) {
+  if (!isWorkTree(root)) {
+    return null;
+  }
+  const base = staged ? 'HEAD' : resolveCommit(root, since);
+  if (!base) {
+    return null;
+  }
+
+  const diffArgs = ['diff', '--name-status', '--no-renames', '-z', '--relative'];
+  const diff = staged
+    ? git(root, [...diffArgs, '--cached'])
+    : git(root, [...diffArgs, base, '--']);
+  if (diff === null) {
+    return null;
+  }
+
+  const changes = parseNameStatus(diff);
+  if (!staged) {
+    const untracked = git(root, ['ls-files', '--others', '--exclude-standard', '-z']) || '';
+    changes.push(...untracked.split('\0').filter(Boolean).map(file => ({ status: 'A', path: file })));
+  }
+
+  const before = foldersAt(root, base);
+  const files = new Set();
+  const folders = new Set();
+
+  for (const change of changes) {
+    if (change.status !== 'D') {
+      files.add(change.path);
+    }
+    if (change.status !== 'A' && change.status !== 'D') continue;
+
+    // The parent gained or lost an item. If the parent itself was created or
+    // removed along with it, its own parent changed too, and so on up
+    let folder = path.posix.dirname(change.path);
+    while (folder !== '.') {
+      folders.add(folder);
+      const existed = before.has(folder);
+      const exists = fs.existsSync(path.join(root, folder));
+      if (existed === exists) break;
+      folder = path.posix.dirname(folder);
+    }
+  }
+
+  return { files: [...files], folders: [...folders] };
+}
+
+// Reader for repo-relative files as they're staged, for `--staged` checks: a file
+// with unstaged changes is read from the index (git show :path), any other from
+// disk, where it's the same. Throws like fs.readFileSync for a file it can't read
+function stagedReader(root) {
+  const output = git(root, ['diff', '--name-only', '-z', '--relative']) || '';
+  const unstaged = new Set(output.split('\0').filter(Boolean));
+
+  return (file) => {
+    if (!unstaged.has(file)) {
+      return fs.readFileSync(path.join(root, file), 'utf8');
+    }
+    // :./path is relative to root, which may be below the top of the work tree
+    const content = git(root, ['show', ':./' + file]);
+    if (content === null) {
+      throw new Error(`${file} is not in the index`);
+    }
+    return content;
+  };
+}
+
+module.exports = {
+  isWorkTree,
+  resolveCommit,
+  changedEntries,
+  stagedReader
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+// Handler files declare their route in a manifest next to the handler:
+//   module.exports = myHandler;
+//   module.exports.manifest = { method: 'post', route: '/my-route', loop: 'backend', description: '...' };
+// Optional fields: auth (whether the session token is needed; by default it is for
+// every method but GET, so a route that changes things can't be called cross-site
+// by accident, and auth: false has to be set to opt out), query and body (parameter
+// docs for /openapi.json, as { name: { description, required } }), details (longer
+// description) and export (when the module exports an object, the key holding the handler).
+// receiver.js loads every such file from bonzai/handlers and bonzai/plugins
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const LOOPS = ['visualization', 'backend'];
+
+// What's wrong with a manifest and the handler it points to (empty if valid)
+function manifestErrors(manifest, handler) {
+  const errors = [];
+  if (!METHODS.includes(manifest.method)) {
+    errors.push(`method must be one of ${METHODS.join(', ')}`);
+  }
+  if (typeof manifest.route !== 'string' || !manifest.route.startsWith('/')) {
+    errors.push('route must be a path starting with /');
+  }
+  if (!LOOPS.includes(manifest.loop)) {
+    errors.push(`loop must be one of ${LOOPS.join(', ')}`);
+  }
+  if (typeof manifest.description !== 'string' || !manifest.description) {
+    errors.push('description is required');
+  }
+  if (manifest.auth !== undefined && typeof manifest.auth !== 'boolean') {
+    errors.push('auth must be true or false');
+  }
+  if (typeof handler !== 'function') {
+    errors.push(manifest.export ? `export "${manifest.export}" is not a function` : 'module does not export a function');
+  }
+  return errors;
+}
+
+// Whether a route needs the session token (see auth above)
+function requiresSession(manifest) {
+  return manifest.auth !== undefined ? manifest.auth : manifest.method !== 'get';
+}
+
+// Handlers from each folder, in order: [{ manifest, handler, module, file }].
+// A file that fails to load or has no valid manifest is skipped with a warning,
+// and so is a route already taken (by a reserved route or an earlier folder),
+// so plugins can't replace the built-in handlers
+function discoverHandlers(dirs, reserved = []) {
+  const handlers = [];
+  const taken = new Map(reserved.map(key => [key, 'the server']));
+
+  for (const dir of dirs) {
+    if (!fs.existsSync(dir)) continue;
+    const files = fs.readdirSync(dir).filter(name => name.endsWith('.js')).sort();
+
+    for (const name of files) {
+      const file = path.join(path.basename(dir), name);
+      let loaded;
+      try {
+        loaded = require(path.join(dir, name));
+      } catch (e) {
+        console.warn(`${file}: could not load (${e.message}), skipped`);
+        continue;
+      }
+
+      const manifest = loaded && loaded.manifest;
+      if (!manifest || typeof manifest !== 'object') {
+        console.warn(`${file}: no manifest exported, skipped`);
+        continue;
+      }
+      const handler = manifest.export ? loaded[manifest.export] : loaded;
+      const errors = manifestErrors(manifest, handler);
+      if (errors.length > 0) {
+        console.warn(`${file}: invalid manifest (${errors.join('; ')}), skipped`);
+        continue;
+      }
+
+      const key = `${manifest.method.toUpperCase()} ${manifest.route}`;
+      if (taken.has(key)) {
+        console.warn(`${file}: ${key} is already served by ${taken.get(key)}, skipped`);
+        continue;
+      }
+      taken.set(key, file);
+      handlers.push({ manifest, handler, module: loaded, file });
+    }
+  }
+  return handlers;
+}
+
+module.exports = {
+  discoverHandlers,
+  requiresSession
+};
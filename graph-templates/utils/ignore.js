@@ -1,11 +1,18 @@
 const fs = require('fs');
 const path = require('path');
+const { ROOT } = require('../config');
 
 // Read and parse ignore patterns from .ignore file
+// Looks next to the server first, then in the repo's bonzai/ folder (when running
+// from the packaged templates, e.g. the check command), then the shipped defaults
 function getIgnorePatterns() {
   try {
-    const ignorePath = path.join(__dirname, '..', '.ignore');
-    if (fs.existsSync(ignorePath)) {
+    const ignorePath = [
+      path.join(__dirname, '..', '.ignore'),
+      path.join(ROOT, 'bonzai', '.ignore'),
+      path.join(__dirname, '..', 'ignore.txt')
+    ].find(candidate => fs.existsSync(candidate));
+    if (ignorePath) {
       const content = fs.readFileSync(ignorePath, 'utf8');
       return content
         .split('\n')
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+const { ROOT } = require('../config');
+const { messagesByNode } = require('./fileList');
+
+const FLAT_CONFIG_FILES = [
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'eslint.config.cjs',
+  'eslint.config.ts',
+  'eslint.config.mts',
+  'eslint.config.cts'
+];
+
+const LINT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx'];
+
+function isLintable(file) {
+  return LINT_EXTENSIONS.some(ext => file.endsWith(ext)) && !file.endsWith('.d.ts') && !file.endsWith('.min.js');
+}
+
+// The project's own flat config file, if it has one
+function findFlatConfig() {
+  return FLAT_CONFIG_FILES
+    .map(name => path.join(ROOT, name))
+    .find(configPath => fs.existsSync(configPath)) || null;
+}
+
+// Flat config built from config.json when the project has none.
+// eslint.rules is a list of rule names (reported as errors) or a { rule: level } map
+function fallbackConfig(eslintRule) {
+  const configured = eslintRule.rules || [];
+  const rules = {};
+  if (Array.isArray(configured)) {
+    for (const name of configured) {
+      rules[name] = 'error';
+    }
+  } else {
+    Object.assign(rules, configured);
+  }
+
+  return [
+    {
+      files: ['**/*.js', '**/*.jsx', '**/*.mjs', '**/*.cjs'],
+      languageOptions: {
+        ecmaVersion: 'latest',
+        sourceType: 'module',
+        parserOptions: {
+          ecmaFeatures: {
+            jsx: true
+          }
+        }
+      },
+      rules
+    }
+  ];
+}
+
+// Use the project's eslint when linting with its own config (its plugins resolve
+// from there), otherwise the copy installed alongside bonzai
+function loadESLintModule(preferProject) {
+  if (preferProject) {
+    try {
+      return createRequire(path.join(ROOT, 'package.json'))('eslint');
+    } catch (e) {
+      // Not installed in the project, fall back to bonzai's copy
+    }
+  }
+  try {
+    return require('eslint');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Create an ESLint instance for the repo, or null if eslint isn't installed
+async function createLinter(eslintRule) {
+  const flatConfig = findFlatConfig();
+  const eslintModule = loadESLintModule(Boolean(flatConfig));
+  if (!eslintModule) {
+    return null;
+  }
+
+  // eslint 8.57+ can pick the flat config implementation explicitly
+  const ESLint = eslintModule.loadESLint
+    ? await eslintModule.loadESLint({ useFlatConfig: true })
+    : eslintModule.ESLint;
+
+  const options = { cwd: ROOT, warnIgnored: false, errorOnUnmatchedPattern: false };
+  if (flatConfig) {
+    options.overrideConfigFile = flatConfig;
+  } else {
+    options.overrideConfigFile = true;
+    options.overrideConfig = fallbackConfig(eslintRule);
+  }
+  return new ESLint(options);
+}
+
+// Lint repo-relative files. Returns one entry per file with problems:
+// { path, messages: [{ line, column, severity, ruleId, message }], nodes: { virtualPath: messages } }
+// or null when eslint is not available. read(file), when given, supplies the content
+// to lint instead of the file on disk (the staged version, for instance)
+async function lintFiles(files, eslintRule, read) {
+  const linter = await createLinter(eslintRule);
+  if (!linter) {
+    return null;
+  }
+
+  const targets = files.filter(isLintable);
+  if (targets.length === 0) {
+    return [];
+  }
+
+  let results;
+  if (read) {
+    results = [];
+    for (const file of targets) {
+      results.push(...await linter.lintText(read(file), { filePath: path.join(ROOT, file) }));
+    }
+  } else {
+    results = await linter.lintFiles(targets);
+  }
+  return results
+    .filter(result => result.messages.length > 0)
+    .map(result => {
+      const file = path.relative(ROOT, result.filePath).replace(/\\/g, '/');
+      const messages = result.messages.map(m => ({
+        line: m.line || 0,
+        column: m.column || 0,
+        severity: m.severity === 2 ? 'error' : 'warning',
+        ruleId: m.ruleId,
+        message: m.message
+      }));
+      return { path: file, messages, nodes: messagesByNode(file, messages, ROOT, read ? read(file) : undefined) };
+    });
+}
+
+module.exports = {
+  isLintable,
+  findFlatConfig,
+  lintFiles
+};
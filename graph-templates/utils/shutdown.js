@@ -0,0 +1,88 @@
+// Shutdown coordinator for the local server. On shutdown it stops accepting
+// connections, answers new requests with 503, waits for in-flight handlers (so a
+// /write isn't cut off), runs the registered cleanup steps (killing terminals,
+// closing WebSockets) and exits. Calling shutdown again while it runs is a no-op
+
+const DRAIN_TIMEOUT_MS = 5000;
+const FORCE_EXIT_MS = 10000;
+
+function createShutdown(server) {
+  let inFlight = 0;
+  let shuttingDown = null;
+  let drained = null;
+  const cleanups = [];
+
+  // Express middleware counting requests until their response is done
+  function track(req, res, next) {
+    if (shuttingDown) {
+      res.set('Connection', 'close');
+      return res.status(503).send('Server is shutting down');
+    }
+    inFlight++;
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      inFlight--;
+      if (inFlight === 0 && drained) drained();
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+    next();
+  }
+
+  function drain() {
+    if (inFlight === 0) return Promise.resolve(true);
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(false), DRAIN_TIMEOUT_MS);
+      drained = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+    });
+  }
+
+  // Register a cleanup step, run after requests drain (may return a promise)
+  function onShutdown(cleanup) {
+    cleanups.push(cleanup);
+  }
+
+  function shutdown(reason) {
+    if (shuttingDown) return shuttingDown;
+    console.log(`\nShutting down (${reason})...`);
+
+    // Whatever happens below, don't hang forever
+    setTimeout(() => {
+      console.warn('Shutdown timed out, exiting');
+      process.exit(1);
+    }, FORCE_EXIT_MS).unref();
+
+    shuttingDown = (async () => {
+      server.close();
+      if (!await drain()) {
+        console.warn(`${inFlight} request(s) still running after ${DRAIN_TIMEOUT_MS / 1000}s, stopping anyway`);
+      }
+
+      for (const cleanup of cleanups) {
+        try {
+          await cleanup(reason);
+        } catch (e) {
+          console.warn('Shutdown cleanup failed:', e.message);
+        }
+      }
+
+      // Keep-alive connections would otherwise hold the server open
+      if (typeof server.closeAllConnections === 'function') {
+        server.closeAllConnections();
+      }
+      process.exit(0);
+    })();
+    return shuttingDown;
+  }
+
+  return { track, onShutdown, shutdown };
+}
+
+module.exports = {
+  createShutdown
+};
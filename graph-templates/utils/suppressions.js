@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSource } = require('./ast');
+
+// Marker file for folders allowed to break folderLimit. Its content is the reason
+const KEEP_MARKER = '.bonzaikeep';
+
+// Languages commenting with # rather than //
+const HASH_COMMENT_EXTENSIONS = ['.py', '.rb', '.sh', '.yml', '.yaml', '.toml'];
+// Languages with <!-- --> comments, in addition to // in their script blocks
+const MARKUP_EXTENSIONS = ['.html', '.vue', '.svelte', '.md'];
+// Languages whose comments are read from the parser, so strings are never mistaken for them
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+// Skip huge files rather than reading them just to look for directives
+const MAX_SCAN_BYTES = 2 * 1024 * 1024;
+
+// Directive regex for a file. Directives look like
+//   // bonzai-disable lineLimit -- generated parser           whole file
+//   // bonzai-disable-next-line eslint, typescript -- reason  the line below
+//   # bonzai-disable lineLimit -- reason                       (Python)
+// Without rule names every rule is disabled; the reason after -- is optional.
+// The directive has to open its comment, and that comment its line (JS/TS comments
+// come from the parser instead), so text that only mentions the syntax, like the
+// examples above, disables nothing
+function directivePattern(file) {
+  const ext = path.posix.extname(file).toLowerCase();
+  let prefixes = ['//', '/\\*'];
+  if (HASH_COMMENT_EXTENSIONS.includes(ext)) prefixes = ['#'];
+  if (MARKUP_EXTENSIONS.includes(ext)) prefixes = [...prefixes, '<!--'];
+  return new RegExp(`^\\s*(?:${prefixes.join('|')})\\s*bonzai-disable(-next-line)?\\b(.*)$`);
+}
+
+// Directives in a JS/TS file's comments: [{ line, scope, text }], or null when the
+// file isn't one or doesn't parse. A 'line' directive's line is where its comment ends
+function commentDirectives(content, file) {
+  if (!SCRIPT_EXTENSIONS.includes(path.posix.extname(file).toLowerCase())) return null;
+  const parsed = parseSource(content, file);
+  if (!parsed) return null;
+
+  const directives = [];
+  for (const comment of parsed.ast.comments || []) {
+    const match = comment.value.trim().match(/^bonzai-disable(-next-line)?\b(.*)/);
+    if (!match) continue;
+    directives.push({
+      line: match[1] ? comment.loc.end.line : comment.loc.start.line,
+      scope: match[1] ? 'line' : 'file',
+      text: match[2]
+    });
+  }
+  return directives;
+}
+
+// Directives found line by line with directivePattern, for everything else
+function lineDirectives(content, file) {
+  const pattern = directivePattern(file);
+  const directives = [];
+  content.split('\n').forEach((text, index) => {
+    const match = text.match(pattern);
+    if (!match) return;
+    directives.push({ line: index + 1, scope: match[1] ? 'line' : 'file', text: match[2] });
+  });
+  return directives;
+}
+
+// "lineLimit, eslint -- reason */" -> { rules: ['lineLimit', 'eslint'], reason: 'reason' }
+function parseDirective(text) {
+  const body = text.replace(/\s*(\*\/|-->)\s*$/, '');
+  const separator = body.indexOf('--');
+  const ruleText = separator === -1 ? body : body.slice(0, separator);
+  const reason = separator === -1 ? null : body.slice(separator + 2).trim() || null;
+  const rules = ruleText.split(/[\s,]+/).filter(Boolean);
+  return { rules, reason };
+}
+
+// Directives in one file: [{ path, line, scope: 'file' | 'line', rules, reason }].
+// A 'line' directive applies to line + 1. read(file), when given, replaces
+// reading the file from disk
+function fileSuppressions(root, file, read) {
+  const fullPath = path.join(root, file);
+  let content;
+  try {
+    if (read) {
+      content = read(file);
+      if (Buffer.byteLength(content) > MAX_SCAN_BYTES) return [];
+    } else {
+      if (fs.statSync(fullPath).size > MAX_SCAN_BYTES) return [];
+      content = fs.readFileSync(fullPath, 'utf8');
+    }
+  } catch (e) {
+    return [];
+  }
+  if (!content.includes('bonzai-disable') || content.includes('\u0000')) return [];
+
+  const directives = commentDirectives(content, file) || lineDirectives(content, file);
+  return directives.map(({ line, scope, text }) => ({ path: file, line, scope, ...parseDirective(text) }));
+}
+
+// Every suppression in the repo: directives in files, and .bonzaikeep markers
+// (scope 'folder', rules ['folderLimit'], path with a trailing slash)
+function collectSuppressions(root, files, read) {
+  const suppressions = [];
+  for (const file of files) {
+    if (path.posix.basename(file) === KEEP_MARKER) {
+      let reason = null;
+      try {
+        reason = (read ? read(file) : fs.readFileSync(path.join(root, file), 'utf8')).trim() || null;
+      } catch (e) {
+        // Unreadable marker still counts, just without a reason
+      }
+      const folder = path.posix.dirname(file);
+      suppressions.push({
+        path: folder === '.' ? './' : folder + '/',
+        line: null,
+        scope: 'folder',
+        rules: ['folderLimit'],
+        reason
+      });
+    } else {
+      suppressions.push(...fileSuppressions(root, file, read));
+    }
+  }
+  return suppressions;
+}
+
+function covers(suppression, violation) {
+  if (suppression.path !== violation.path) return false;
+  if (suppression.rules.length > 0 && !suppression.rules.includes(violation.rule)) return false;
+  if (suppression.scope === 'line') return violation.line === suppression.line + 1;
+  return true;
+}
+
+// Split violations into the ones still reported and the suppressed ones.
+// Each suppression gets a count of the violations it suppressed, so unused
+// ones (count 0) can be cleaned up
+function applySuppressions(violations, suppressions) {
+  const byPath = new Map();
+  for (const suppression of suppressions) {
+    suppression.suppressed = 0;
+    if (!byPath.has(suppression.path)) byPath.set(suppression.path, []);
+    byPath.get(suppression.path).push(suppression);
+  }
+
+  const remaining = [];
+  const suppressed = [];
+  for (const violation of violations) {
+    const match = (byPath.get(violation.path) || []).find(suppression => covers(suppression, violation));
+    if (match) {
+      match.suppressed++;
+      suppressed.push({ ...violation, suppression: { line: match.line, reason: match.reason } });
+    } else {
+      remaining.push(violation);
+    }
+  }
+  return { violations: remaining, suppressed };
+}
+
+// Whether a directive in the violation's file disables it (for callers like
+// /list that evaluate rules outside runChecks)
+function isSuppressed(root, violation) {
+  return fileSuppressions(root, violation.path).some(suppression => covers(suppression, violation));
+}
+
+module.exports = {
+  KEEP_MARKER,
+  fileSuppressions,
+  collectSuppressions,
+  applySuppressions,
+  isSuppressed
+};
@@ -0,0 +1,304 @@
+const { parseSource } = require('./ast');
+
+// Scope analysis over the Babel AST, in two passes: declare every binding in
+// its scope (so hoisted functions and vars resolve), then resolve references.
+// Reads count as uses; a plain `x = value` assignment does not
+
+const FUNCTION_TYPES = [
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+];
+const BLOCK_SCOPE_TYPES = [
+  'BlockStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement',
+  'SwitchStatement', 'CatchClause', 'StaticBlock'
+];
+
+// Identifiers under these (node type -> keys) are names, not references
+const NAME_KEYS = {
+  MemberExpression: ['property'],
+  OptionalMemberExpression: ['property'],
+  ObjectProperty: ['key'],
+  ObjectMethod: ['key'],
+  ClassProperty: ['key'],
+  ClassAccessorProperty: ['key'],
+  ClassMethod: ['key'],
+  ClassPrivateProperty: ['key'],
+  ClassPrivateMethod: ['key'],
+  TSPropertySignature: ['key'],
+  TSMethodSignature: ['key', 'parameters'],
+  TSEnumMember: ['id'],
+  TSQualifiedName: ['right'],
+  TSInterfaceDeclaration: ['id'],
+  TSTypeAliasDeclaration: ['id'],
+  TSEnumDeclaration: ['id'],
+  TSModuleDeclaration: ['id'],
+  TSDeclareFunction: ['id', 'params'],
+  TSDeclareMethod: ['key', 'params'],
+  TSFunctionType: ['parameters'],
+  TSConstructorType: ['parameters'],
+  TSCallSignatureDeclaration: ['parameters'],
+  TSConstructSignatureDeclaration: ['parameters'],
+  LabeledStatement: ['label'],
+  BreakStatement: ['label'],
+  ContinueStatement: ['label'],
+  ImportSpecifier: ['imported'],
+  ExportSpecifier: ['exported'],
+  ExportNamespaceSpecifier: ['exported'],
+  MetaProperty: ['meta', 'property'],
+  PrivateName: ['id']
+};
+
+// Keys that only hold names when the property isn't computed (`a[b]` reads b)
+const COMPUTED_KEYS = ['property', 'key'];
+
+function childEntries(node) {
+  const children = [];
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key.endsWith('Comments')) continue;
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') children.push([key, child]);
+      }
+    } else if (value && typeof value.type === 'string') {
+      children.push([key, value]);
+    }
+  }
+  return children;
+}
+
+function createScope(parent, isFunction) {
+  return { parent, isFunction, bindings: new Map() };
+}
+
+function functionScope(scope) {
+  while (!scope.isFunction) scope = scope.parent;
+  return scope;
+}
+
+function lookup(scope, name) {
+  for (; scope; scope = scope.parent) {
+    if (scope.bindings.has(name)) return scope.bindings.get(name);
+  }
+  return null;
+}
+
+// Identifiers a pattern declares (`{ a, b: [c], ...d } = x` -> a, c, d), with
+// whether each is a rest sibling's neighbour (`{ a, ...rest }` omits a on purpose)
+function patternIdentifiers(pattern, found = [], restSibling = false) {
+  if (!pattern) return found;
+  switch (pattern.type) {
+    case 'Identifier':
+      found.push({ id: pattern, restSibling });
+      break;
+    case 'ObjectPattern': {
+      const hasRest = pattern.properties.some(property => property.type === 'RestElement');
+      for (const property of pattern.properties) {
+        if (property.type === 'RestElement') patternIdentifiers(property.argument, found);
+        else patternIdentifiers(property.value, found, hasRest);
+      }
+      break;
+    }
+    case 'ArrayPattern':
+      for (const element of pattern.elements) patternIdentifiers(element, found);
+      break;
+    case 'AssignmentPattern':
+      patternIdentifiers(pattern.left, found, restSibling);
+      break;
+    case 'RestElement':
+      patternIdentifiers(pattern.argument, found);
+      break;
+    case 'TSParameterProperty':
+      // constructor(private x) declares a class field, which is always "used"
+      break;
+  }
+  return found;
+}
+
+function analyze(ast) {
+  const scopes = new WeakMap();
+  const declared = new WeakSet();
+  const bindings = [];
+  const functions = [];
+  const program = createScope(null, true);
+  let hasJsx = false;
+
+  const declare = (scope, id, kind, extra = {}) => {
+    declared.add(id);
+    const binding = { name: id.name, kind, id, reads: 0, exported: false, ...extra };
+    scope.bindings.set(id.name, binding);
+    bindings.push(binding);
+    return binding;
+  };
+
+  const declarePattern = (scope, pattern, kind, extra = {}) =>
+    patternIdentifiers(pattern).map(({ id, restSibling }) => declare(scope, id, kind, { ...extra, restSibling }));
+
+  // Pass 1: scopes and declarations
+  const collect = (node, parent, key, scope) => {
+    let inner = scope;
+
+    if (FUNCTION_TYPES.includes(node.type)) {
+      if (node.type === 'FunctionDeclaration' && node.id) {
+        declare(scope, node.id, 'function');
+      }
+      inner = createScope(scope, true);
+      if (node.type === 'FunctionExpression' && node.id) {
+        // Its own name, visible inside only; never reported
+        declare(inner, node.id, 'self');
+      }
+      functions.push(node.params.map(param => declarePattern(inner, param, 'parameter', { plain: param.type === 'Identifier' })));
+    } else if (node.type === 'ClassDeclaration' && node.id) {
+      declare(scope, node.id, 'class');
+    } else if (node.type === 'ClassExpression' && node.id) {
+      inner = createScope(scope, false);
+      declare(inner, node.id, 'self');
+    } else if (BLOCK_SCOPE_TYPES.includes(node.type) && !(FUNCTION_TYPES.includes(parent && parent.type) && key === 'body')) {
+      inner = createScope(scope, false);
+      if (node.type === 'CatchClause' && node.param) {
+        declarePattern(inner, node.param, 'catch');
+      }
+    } else if (node.type === 'ImportDeclaration') {
+      for (const specifier of node.specifiers) {
+        declare(program, specifier.local, 'import', { specifier, declaration: node });
+      }
+    } else if (node.type === 'VariableDeclaration') {
+      const target = node.kind === 'var' ? functionScope(scope) : scope;
+      for (const declarator of node.declarations) {
+        declarePattern(target, declarator.id, node.declare ? 'ambient' : 'variable', { assigned: Boolean(declarator.init) });
+      }
+    }
+
+    if (inner !== scope) scopes.set(node, inner);
+    for (const [childKey, child] of childEntries(node)) {
+      collect(child, node, childKey, inner);
+    }
+  };
+
+  // Pass 2: references
+  const markExported = declaration => {
+    if (!declaration) return;
+    const ids = declaration.type === 'VariableDeclaration'
+      ? declaration.declarations.flatMap(declarator => patternIdentifiers(declarator.id).map(({ id }) => id))
+      : [declaration.id].filter(Boolean);
+    for (const id of ids) {
+      const binding = bindings.find(candidate => candidate.id === id);
+      if (binding) binding.exported = true;
+    }
+  };
+
+  const resolve = (node, parent, key, scope) => {
+    const inner = scopes.get(node) || scope;
+
+    if (node.type === 'Identifier') {
+      const isName = (NAME_KEYS[parent.type] || []).includes(key) &&
+        !(COMPUTED_KEYS.includes(key) && parent.computed);
+      const isWrite = parent.type === 'AssignmentExpression' && key === 'left' && parent.operator === '=';
+      if (!declared.has(node) && !isName && !isWrite) {
+        const binding = lookup(scope, node.name);
+        if (binding) binding.reads++;
+      }
+    } else if (node.type === 'JSXOpeningElement' || node.type === 'JSXClosingElement') {
+      hasJsx = true;
+      // <Foo /> and <foo.Bar /> read Foo and foo; <div /> is an intrinsic element
+      let name = node.name;
+      while (name.type === 'JSXMemberExpression') name = name.object;
+      if (name.type === 'JSXIdentifier' && (node.name !== name || /^[A-Z]/.test(name.name))) {
+        const binding = lookup(scope, name.name);
+        if (binding) binding.reads++;
+      }
+    } else if (node.type === 'JSXFragment') {
+      hasJsx = true;
+    } else if (node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration') {
+      markExported(node.declaration);
+    }
+
+    for (const [childKey, child] of childEntries(node)) {
+      resolve(child, node, childKey, inner);
+    }
+  };
+
+  scopes.set(ast.program, program);
+  collect(ast.program, null, null, program);
+  resolve(ast.program, null, null, program);
+
+  return { bindings, functions, hasJsx };
+}
+
+// Names the <template> of a .vue file can use from <script setup>: every word,
+// plus PascalCase for kebab-case component tags (<my-button> -> MyButton)
+function templateNames(content) {
+  const template = content.replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, '');
+  const names = new Set(template.match(/[A-Za-z_$][\w$-]*/g) || []);
+  for (const name of [...names]) {
+    if (name.includes('-')) {
+      names.add(name.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase()));
+      for (const part of name.split('-')) names.add(part);
+    }
+  }
+  return names;
+}
+
+const MESSAGES = {
+  import: name => `'${name}' is imported but never used.`,
+  parameter: name => `'${name}' is a parameter that is never used.`,
+  variable: (name, binding) => binding.assigned
+    ? `'${name}' is assigned a value but never used.`
+    : `'${name}' is declared but never used.`,
+  function: name => `'${name}' is defined but never used.`,
+  class: name => `'${name}' is defined but never used.`
+};
+
+// Unused imports, variables, functions, classes and parameters in a JS/TS file
+// (or the script of a .vue file): [{ kind, name, line, column, message }], with
+// specifier and declaration nodes for imports. Parameters follow ESLint's
+// after-used default: only ones after the last used parameter are reported.
+// Names starting with _ are treated as intentionally unused.
+// Returns null if the file can't be parsed
+function findUnused(content, file) {
+  const parsed = parseSource(content, file);
+  if (!parsed) return null;
+
+  const { bindings, functions, hasJsx } = analyze(parsed.ast);
+
+  const usedByTemplate = file.toLowerCase().endsWith('.vue') ? templateNames(content) : new Set();
+
+  // Classic JSX runtime: <div /> compiles to React.createElement
+  const isUnused = binding =>
+    binding.reads === 0 &&
+    !binding.exported &&
+    !binding.name.startsWith('_') &&
+    !usedByTemplate.has(binding.name) &&
+    !(hasJsx && binding.name === 'React');
+
+  // Parameters before the last used one are needed for their position
+  const skipped = new Set();
+  for (const params of functions) {
+    let lastUsed = -1;
+    params.forEach((ids, index) => {
+      if (ids.some(binding => !isUnused(binding))) lastUsed = index;
+    });
+    params.forEach((ids, index) => {
+      if (index <= lastUsed) {
+        for (const binding of ids) {
+          if (binding.plain) skipped.add(binding);
+        }
+      }
+    });
+  }
+
+  return bindings
+    .filter(binding => MESSAGES[binding.kind] && !binding.restSibling && !skipped.has(binding) && isUnused(binding))
+    .map(binding => ({
+      kind: binding.kind,
+      name: binding.name,
+      line: binding.id.loc.start.line,
+      column: binding.id.loc.start.column + 1,
+      message: MESSAGES[binding.kind](binding.name, binding),
+      ...(binding.kind === 'import' ? { specifier: binding.specifier, declaration: binding.declaration, offset: parsed.offset } : {})
+    }))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+module.exports = {
+  findUnused
+};
@@ -0,0 +1,53 @@
+// Download the visualization UI (app.js, app.css) from bonzai.dev into
+// graph-templates/ui, where the build picks it up and ships it pinned to the
+// package version. Run by `npm run build:ui` before releases
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+
+// BONZAI_UI_SOURCE points at another copy (a mirror or a local UI dev server)
+const SOURCE = process.env.BONZAI_UI_SOURCE || 'https://bonzai.dev';
+const UI_DIR = path.join('graph-templates', 'ui');
+const ASSETS = ['app.js', 'app.css'];
+const MAX_REDIRECTS = 5;
+
+function download(url, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('http:') ? http : https;
+    client.get(url, (res) => {
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects < MAX_REDIRECTS) {
+        res.resume();
+        resolve(download(new URL(res.headers.location, url).href, redirects + 1));
+        return;
+      }
+      if (res.statusCode !== 200) {
+        res.resume();
+        reject(new Error(`GET ${url}: HTTP ${res.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+async function main() {
+  // Download everything before writing, so a failed run leaves no half-updated UI
+  const contents = await Promise.all(ASSETS.map(file => download(`${SOURCE}/${file}`)));
+  const empty = ASSETS.filter((file, i) => contents[i].length === 0);
+  if (empty.length > 0) {
+    throw new Error(`Empty UI asset: ${empty.join(', ')}`);
+  }
+
+  fs.mkdirSync(UI_DIR, { recursive: true });
+  ASSETS.forEach((file, i) => fs.writeFileSync(path.join(UI_DIR, file), contents[i]));
+  console.log(`Fetched ${ASSETS.join(', ')} from ${SOURCE} into ${UI_DIR}`);
+}
+
+main().catch((error) => {
+  console.error(`Could not fetch the UI: ${error.message}`);
+  process.exit(1);
+});
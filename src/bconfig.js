@@ -2,11 +2,13 @@
 import fs from 'fs';
 import path from 'path';
 import { spawn, exec } from 'child_process';
+import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 import { ENABLED_LOOPS } from './loops.config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
 
 // Template folder in the package
 const TEMPLATE_DIR = path.join(__dirname, 'graph-templates');
@@ -30,7 +32,22 @@ function copyDirectory(src, dest) {
   }
 }
 
-async function main() {
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1) return args[index + 1];
+  const inline = args.find(arg => arg.startsWith(name + '='));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+// args: --port <n> and --host <host> for the server (BONZAI_PORT/BONZAI_HOST also work).
+// The server moves to the next free port if the requested one is taken.
+// --remote-ui loads the latest UI from bonzai.dev instead of the packaged one.
+// --read-only serves only the visualization loop (no writes, deletes or terminal)
+async function main(args = []) {
+  const port = optionValue(args, '--port');
+  const host = optionValue(args, '--host');
+  const remoteUi = args.includes('--remote-ui');
+  const readOnly = args.includes('--read-only');
   const currentDir = process.cwd();
   const bonzaiDir = path.join(currentDir, 'bonzai');
   const receiverPath = path.join(bonzaiDir, 'receiver.js');
@@ -54,6 +71,9 @@ async function main() {
   const configContent = fs.readFileSync(path.join(TEMPLATE_DIR, 'config.js'), 'utf8');
   fs.writeFileSync(path.join(bonzaiDir, 'config.js'), configContent);
 
+  // Write config.schema.json (validates bonzai/config.json on startup and in editors)
+  fs.copyFileSync(path.join(__dirname, 'payload-bonzai', 'config.schema.json'), path.join(bonzaiDir, 'config.schema.json'));
+
   // Copy handlers from enabled loops
   console.log('Copying handlers...');
   const handlersDest = path.join(bonzaiDir, 'handlers');
@@ -81,6 +101,21 @@ async function main() {
     }
   }
 
+  // The user's own handlers live in bonzai/plugins; only create the folder, never overwrite it
+  const pluginsDir = path.join(bonzaiDir, 'plugins');
+  if (!fs.existsSync(pluginsDir)) {
+    fs.mkdirSync(pluginsDir);
+  }
+
+  // Copy the UI assets (replacing the previous version's)
+  const uiSrc = path.join(TEMPLATE_DIR, 'ui');
+  const uiDest = path.join(bonzaiDir, 'ui');
+  fs.rmSync(uiDest, { recursive: true, force: true });
+  if (fs.existsSync(uiSrc)) {
+    console.log('Copying UI...');
+    copyDirectory(uiSrc, uiDest);
+  }
+
   // Copy utils directory
   console.log('Copying utils...');
   const utilsSrc = path.join(TEMPLATE_DIR, 'utils');
@@ -124,6 +159,8 @@ async function main() {
   packageJson.dependencies["@babel/parser"] = "^7.23.0";
   packageJson.dependencies.ws = "^8.14.2";
   packageJson.dependencies["node-pty"] = "^1.0.0";
+  packageJson.dependencies.eslint = "^9.39.2";
+  packageJson.dependencies.typescript = "^5.9.3";
 
   // Add script to run receiver
   if (!packageJson.scripts) {
@@ -133,6 +170,15 @@ async function main() {
 
   fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
 
+  // Bring bonzai/config.json up to this release's format (the server only migrates
+  // it in memory). Uses the utils just copied, which bonzai/package.json keeps CommonJS
+  try {
+    const { loadConfig } = require(path.join(bonzaiDir, 'utils', 'configFile.js'));
+    loadConfig({ write: true });
+  } catch (e) {
+    console.warn('Could not migrate bonzai/config.json: ' + e.message);
+  }
+
   console.log('Installing dependencies...');
 
   // Install dependencies in bonzai directory
@@ -161,24 +207,34 @@ async function main() {
           }
         }
 
-        console.log('\nListener endpoints successfully deployed');
-        console.log('All code stays on your machine\n');
-        console.log('Relay server running on localhost:6767');
-        console.log('Terminal WebSocket available at ws://localhost:6767/terminal');
-        console.log('App available at http://localhost:6767\n');
-
-        // Start the server automatically
+        // Start the server automatically. It reports the URL it ended up on over IPC
         const server = spawn('node', ['receiver.js'], {
-          stdio: 'inherit',
+          stdio: ['inherit', 'inherit', 'inherit', 'ipc'],
           cwd: bonzaiDir,
           env: {
             ...process.env,
-            BONZAI_REPO_DIR: currentDir
+            BONZAI_REPO_DIR: currentDir,
+            ...(port ? { BONZAI_PORT: port } : {}),
+            ...(host ? { BONZAI_HOST: host } : {}),
+            ...(remoteUi ? { BONZAI_UI: 'remote' } : {}),
+            ...(readOnly ? { BONZAI_READ_ONLY: '1' } : {})
           }
         });
 
-        // Open browser automatically
-        exec('open http://localhost:6767/visualize?ref=btools');
+        server.on('message', (message) => {
+          if (!message || message.type !== 'listening') return;
+          const wsUrl = message.url.replace(/^http/, 'ws');
+          console.log('\nListener endpoints successfully deployed');
+          console.log('All code stays on your machine\n');
+          console.log(`Relay server running on ${message.url.replace(/^http:\/\//, '')}`);
+          console.log(`Terminal WebSocket available at ${wsUrl}/terminal (with ?token=)`);
+          // The session token authorizes the browser to write files and open terminals
+          const appUrl = `${message.url}/visualize?ref=btools&token=${message.token}`;
+          console.log(`App available at ${appUrl}\n`);
+
+          // Open browser automatically
+          exec(`open "${appUrl}"`);
+        });
 
         // Handle server process
         server.on('close', (serverCode) => {
@@ -191,16 +247,21 @@ async function main() {
           process.exit(1);
         });
 
-        // Handle cleanup on exit
-        process.on('SIGINT', () => {
-          console.log('\nShutting down server...');
-          server.kill('SIGINT');
-        });
-
-        process.on('SIGTERM', () => {
+        // Handle cleanup on exit: the server shuts down gracefully on the signal
+        // (drains requests, kills terminals); a second Ctrl+C forces it
+        let stopping = false;
+        const stop = (signal) => {
+          if (stopping) {
+            console.log('\nForcing server shutdown...');
+            server.kill('SIGKILL');
+            return;
+          }
+          stopping = true;
           console.log('\nShutting down server...');
-          server.kill('SIGTERM');
-        });
+          server.kill(signal);
+        };
+        process.on('SIGINT', () => stop('SIGINT'));
+        process.on('SIGTERM', () => stop('SIGTERM'));
 
         resolve();
       } else {
@@ -0,0 +1,163 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { loadEngine, requireConfig } from './engine.js';
+import { fromScanIssues, toSarif, toJunit, toJson } from './formatters.js';
+
+const FORMATS = ['text', 'json', 'sarif', 'junit'];
+
+// Value of `--name value` or `--name=value`
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  if (index !== -1) return args[index + 1];
+  const inline = args.find(arg => arg.startsWith(name + '='));
+  return inline ? inline.slice(name.length + 1) : undefined;
+}
+
+// Only errors fail the check; warnings and scan info notes are reported but pass
+function isError(violation) {
+  return violation.severity === undefined || violation.severity === 'error';
+}
+
+function printViolations(violations) {
+  const { describeViolation } = loadEngine('checks');
+  const byRule = new Map();
+  for (const violation of violations) {
+    if (!byRule.has(violation.rule)) byRule.set(violation.rule, []);
+    byRule.get(violation.rule).push(violation);
+  }
+
+  for (const [rule, ruleViolations] of byRule) {
+    console.log(`${rule}`);
+    for (const violation of ruleViolations) {
+      console.log(`  ${violation.path}  ${describeViolation(violation)}`);
+    }
+    console.log('');
+  }
+}
+
+function printImproved(improved) {
+  if (improved.length === 0) return;
+
+  console.log('Improved since baseline');
+  for (const entry of improved) {
+    console.log(`  ${entry.node || entry.path}  ${entry.rule} ${entry.was} -> ${entry.now === 0 ? 'fixed' : entry.now}`);
+  }
+  console.log('');
+  console.log('Run `npx bonzai-tree check --update-baseline` to tighten the baseline.');
+  console.log('');
+}
+
+// Every bonzai-disable directive and .bonzaikeep marker, so they can be audited
+function printSuppressions(suppressions) {
+  if (suppressions.length === 0) return;
+
+  console.log('Suppressions');
+  for (const suppression of suppressions) {
+    const location = suppression.line ? `${suppression.path}:${suppression.line}` : suppression.path;
+    const rules = suppression.rules.length > 0 ? suppression.rules.join(', ') : 'all rules';
+    const scope = suppression.scope === 'line' ? ' (next line)' : '';
+    const reason = suppression.reason ? ` -- ${suppression.reason}` : ' (no reason given)';
+    const used = suppression.suppressed === 0 ? 'unused' : `${suppression.suppressed} suppressed`;
+    console.log(`  ${location}  ${rules}${scope}${reason} [${used}]`);
+  }
+  console.log('');
+}
+
+// Help text for a rule: its config.json prompt with the limits filled in.
+// Scan findings have no rule of their own, so they get the general requirements
+function helpResolver(config) {
+  const { promptVariables, renderPrompt } = loadEngine('tasks');
+  const vars = promptVariables(config);
+
+  return (rule) => {
+    const template = rule === 'scan'
+      ? config.customChecks && config.customChecks.requirements
+      : config[rule] && config[rule].prompt;
+    return template ? renderPrompt(template, vars) : null;
+  };
+}
+
+// Write a machine-readable report to --output, or stdout
+function writeReport(format, report, config, output) {
+  const helpFor = helpResolver(config);
+  let text;
+  if (format === 'sarif') {
+    text = toSarif(report, helpFor);
+  } else if (format === 'junit') {
+    const ruleNames = Object.keys(config).filter(name => config[name] && config[name].enabled === true);
+    text = toJunit(report, helpFor, ruleNames);
+  } else {
+    text = toJson(report);
+  }
+
+  if (output) {
+    writeFileSync(output, text + '\n', 'utf8');
+    console.log(`Wrote ${format} report to ${output}`);
+  } else {
+    process.stdout.write(text + '\n');
+  }
+}
+
+async function main(args = []) {
+  const format = optionValue(args, '--format') || 'text';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  const output = optionValue(args, '--output');
+  const scanFile = optionValue(args, '--scan');
+  const since = optionValue(args, '--since');
+  const staged = args.includes('--staged');
+  if (args.includes('--update-baseline') && (since || staged)) {
+    throw new Error('--update-baseline records the whole repo and can\'t be combined with --since or --staged');
+  }
+
+  const config = requireConfig();
+  const { runChecks } = loadEngine('checks');
+  const { loadBaseline, writeBaseline, compareBaseline } = loadEngine('baseline');
+
+  const result = await runChecks(config, { since, staged });
+  if (scanFile) {
+    // Saved output of the scan_code_quality handler
+    result.violations.push(...fromScanIssues(JSON.parse(readFileSync(scanFile, 'utf8'))));
+  }
+  const checked = result.scope ? 'changed ' : '';
+  const summary = `Checked ${result.files} ${checked}files in ${result.folders} ${checked}folders`;
+
+  if (args.includes('--update-baseline')) {
+    const entries = writeBaseline(result.violations);
+    console.log(`${summary}: recorded ${entries} ${entries === 1 ? 'entry' : 'entries'} in bonzai/baseline.json`);
+    return;
+  }
+
+  const baseline = loadBaseline();
+  // Ratchet mode: only new violations and files that got worse fail
+  const comparison = baseline ? compareBaseline(result.violations, baseline, result.scope) : null;
+  const failing = comparison ? comparison.failing : result.violations;
+
+  if (format !== 'text') {
+    const report = {
+      files: result.files,
+      folders: result.folders,
+      failing,
+      suppressed: result.suppressed,
+      suppressions: result.suppressions,
+      ...(comparison ? { baselined: comparison.baselined, improved: comparison.improved } : {})
+    };
+    writeReport(format, report, config, output);
+  } else {
+    const suppressed = result.suppressed.length > 0 ? `, ${result.suppressed.length} suppressed` : '';
+    printViolations(failing);
+    printSuppressions(result.suppressions);
+    if (comparison) {
+      printImproved(comparison.improved);
+      console.log(`${summary}: ${failing.length} new violation${failing.length === 1 ? '' : 's'}, ${comparison.baselined.length} baselined${suppressed}`);
+    } else {
+      console.log(`${summary}: ${failing.length} violation${failing.length === 1 ? '' : 's'}${suppressed}`);
+    }
+  }
+
+  if (failing.some(isError)) {
+    process.exitCode = 1;
+  }
+}
+
+export { main };
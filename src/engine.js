@@ -0,0 +1,40 @@
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// The rule engine is shared with the server, so it lives in the (CommonJS) templates:
+// copied next to the bundle in dist/, and one level up when running from src/
+const UTILS_DIR = [
+  join(__dirname, 'graph-templates', 'utils'),
+  join(__dirname, '..', 'graph-templates', 'utils')
+].find(candidate => existsSync(candidate));
+
+// Load a module from graph-templates/utils against the current directory
+function loadEngine(name = 'checks') {
+  // config.js resolves the repo root from this, same as when bconfig.js starts the server
+  process.env.BONZAI_REPO_DIR = process.cwd();
+  return require(join(UTILS_DIR, name + '.js'));
+}
+
+// Load bonzai/config.json (saving it migrated if it's an older version), failing with
+// a hint if the repo hasn't been initialized or with every schema error if it's invalid
+function requireConfig() {
+  const { loadConfig, validateConfig } = loadEngine('configFile');
+  const config = loadConfig({ write: true });
+  if (!config) {
+    throw new Error('bonzai/config.json not found. Run npx bonzai-tree to create it.');
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error('Invalid bonzai/config.json:\n' + errors.map(error => '  ' + error).join('\n'));
+  }
+  return config;
+}
+
+export { loadEngine, requireConfig };
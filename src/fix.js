@@ -0,0 +1,68 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { loadEngine } from './engine.js';
+
+// Fixers by flag: each takes (content, file) and returns { edits, removed } or null
+const FIXERS = {
+  '--console': { name: 'console call', fixer: 'consoleFix' },
+  '--unused': { name: 'unused import', fixer: 'unusedImportsFix' }
+};
+
+// Files to fix: the repo's files (same ignore rules as check), limited to the
+// paths given on the command line
+function targetFiles(paths) {
+  const { collectEntries } = loadEngine('checks');
+  const { isParsable } = loadEngine('ast');
+  const prefixes = paths.map(p => p.replace(/\\/g, '/').replace(/^\.\/|\/+$/g, ''));
+
+  return collectEntries(process.cwd()).files.filter(file =>
+    isParsable(file) &&
+    (prefixes.length === 0 || prefixes.some(prefix => file === prefix || file.startsWith(prefix + '/'))));
+}
+
+async function main(args = []) {
+  const mode = Object.keys(FIXERS).find(flag => args.includes(flag));
+  if (!mode) {
+    throw new Error(`Usage: npx bonzai-tree fix <${Object.keys(FIXERS).join('|')}> [paths...] [--write]`);
+  }
+  if (!loadEngine('ast').parserInstalled()) {
+    throw new Error('@babel/parser is not installed');
+  }
+
+  const { name, fixer } = FIXERS[mode];
+  const fix = loadEngine('fixes')[fixer];
+  const { applyLineEdits, formatDiff } = loadEngine('diff');
+  const write = args.includes('--write');
+  const paths = args.filter(arg => !arg.startsWith('--'));
+
+  let total = 0;
+  let changedFiles = 0;
+  for (const file of targetFiles(paths)) {
+    const fullPath = join(process.cwd(), file);
+    const content = readFileSync(fullPath, 'utf8');
+    const result = fix(content, file);
+    if (!result) {
+      console.warn(`Skipping ${file}: could not parse it`);
+      continue;
+    }
+    if (result.edits.length === 0) continue;
+
+    total += result.removed.length;
+    changedFiles++;
+    process.stdout.write(formatDiff(file, content, result.edits));
+    if (write) {
+      writeFileSync(fullPath, applyLineEdits(content, result.edits), 'utf8');
+    }
+  }
+
+  const found = `${total} ${name}${total === 1 ? '' : 's'} in ${changedFiles} file${changedFiles === 1 ? '' : 's'}`;
+  if (total === 0) {
+    console.log(`No ${name}s found`);
+  } else if (write) {
+    console.log(`\nRemoved ${found}`);
+  } else {
+    console.log(`\nFound ${found}. Run again with --write to apply.`);
+  }
+}
+
+export { main };
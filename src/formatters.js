@@ -0,0 +1,174 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Shown when a rule has no prompt in config.json
+const RULE_DESCRIPTIONS = {
+  lineLimit: 'File has more lines than lineLimit.limit.',
+  folderLimit: 'Folder has more items than folderLimit.limit.',
+  functionLimit: 'Function has more lines than functionLimit.limit.',
+  complexityLimit: 'Function is more complex than complexityLimit.limit.',
+  testCheck: 'Source file has no matching test file.',
+  eslint: 'ESLint problem.',
+  typescript: 'TypeScript type error.',
+  unusedCheck: 'Unused import, variable or parameter.',
+  duplicateCheck: 'Function is a near-duplicate of another function.',
+  deadExportCheck: 'Export that no module in the repo imports.',
+  scan: 'Code quality scan issue.'
+};
+
+function toolVersion() {
+  try {
+    return JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf8')).version;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Issues from the /scan_code_quality handler ({ file, line, severity, type, message })
+// as check violations, so they can be reported alongside the config rules
+function fromScanIssues(scanResult) {
+  const issues = Array.isArray(scanResult) ? scanResult : scanResult.issues || [];
+  return issues.map(issue => ({
+    rule: 'scan',
+    ruleId: issue.type,
+    path: issue.file.replace(/\\/g, '/'),
+    line: issue.line,
+    severity: issue.severity,
+    message: issue.message
+  }));
+}
+
+// Report id: the config rule, plus the tool's own rule for eslint/typescript/scan findings
+function reportRuleId(violation) {
+  return violation.ruleId ? `${violation.rule}/${violation.ruleId}` : violation.rule;
+}
+
+// helpFor(rule) returns the rendered config prompt for a rule, if it has one
+function helpText(violation, helpFor) {
+  return helpFor(violation.rule) || RULE_DESCRIPTIONS[violation.rule] || violation.rule;
+}
+
+function sarifLevel(severity) {
+  if (severity === 'warning') return 'warning';
+  if (severity === 'info') return 'note';
+  return 'error';
+}
+
+// SARIF 2.1.0. In ratchet mode, baselined violations are included as unchanged;
+// violations disabled in source are included with their suppression
+function toSarif({ failing, baselined, suppressed }, helpFor) {
+  const rules = [];
+  const ruleIndex = new Map();
+  const results = [];
+
+  const addResult = (violation, baselineState) => {
+    const id = reportRuleId(violation);
+    if (!ruleIndex.has(id)) {
+      ruleIndex.set(id, rules.length);
+      rules.push({
+        id,
+        name: violation.ruleId || violation.rule,
+        shortDescription: { text: RULE_DESCRIPTIONS[violation.rule] || violation.rule },
+        help: { text: helpText(violation, helpFor) },
+        properties: { category: violation.rule }
+      });
+    }
+
+    const region = violation.line ? { startLine: violation.line } : undefined;
+    if (region && violation.column) region.startColumn = violation.column;
+
+    const result = {
+      ruleId: id,
+      ruleIndex: ruleIndex.get(id),
+      level: sarifLevel(violation.severity),
+      message: { text: violation.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: violation.path, uriBaseId: '%SRCROOT%' },
+          ...(region ? { region } : {})
+        }
+      }]
+    };
+    if (baselineState) result.baselineState = baselineState;
+    if (violation.suppression) {
+      result.suppressions = [{ kind: 'inSource', justification: violation.suppression.reason || undefined }];
+    }
+    results.push(result);
+  };
+
+  const ratchet = Boolean(baselined);
+  for (const violation of failing) addResult(violation, ratchet ? 'new' : null);
+  for (const violation of baselined || []) addResult(violation, 'unchanged');
+  for (const violation of suppressed || []) addResult(violation, null);
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'bonzai-tree', version: toolVersion(), rules } },
+      originalUriBaseIds: { '%SRCROOT%': { uri: pathToFileURL(process.cwd()).href + '/' } },
+      results
+    }]
+  }, null, 2);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// JUnit XML: one testsuite per rule, one failing testcase per violation and a
+// skipped one per suppressed violation.
+// Rules in ruleNames without violations get a single passing testcase
+function toJunit({ failing, suppressed = [] }, helpFor, ruleNames) {
+  const byRule = new Map(ruleNames.map(rule => [rule, []]));
+  for (const violation of [...failing, ...suppressed]) {
+    if (!byRule.has(violation.rule)) byRule.set(violation.rule, []);
+    byRule.get(violation.rule).push(violation);
+  }
+
+  const passing = [...byRule.values()].filter(violations => violations.length === 0).length;
+  const tests = failing.length + suppressed.length + passing;
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<testsuites name="bonzai-tree" tests="${tests}" failures="${failing.length}" skipped="${suppressed.length}">\n`;
+
+  for (const [rule, violations] of byRule) {
+    if (violations.length === 0) {
+      xml += `  <testsuite name="${escapeXml(rule)}" tests="1" failures="0">\n`;
+      xml += `    <testcase classname="${escapeXml(rule)}" name="all files"/>\n`;
+      xml += '  </testsuite>\n';
+      continue;
+    }
+
+    const skipped = violations.filter(violation => violation.suppression).length;
+    xml += `  <testsuite name="${escapeXml(rule)}" tests="${violations.length}" failures="${violations.length - skipped}" skipped="${skipped}">\n`;
+    for (const violation of violations) {
+      const name = violation.line ? `${violation.path}:${violation.line}` : violation.path;
+      xml += `    <testcase classname="${escapeXml(reportRuleId(violation))}" name="${escapeXml(name)}">\n`;
+      if (violation.suppression) {
+        xml += `      <skipped message="${escapeXml(violation.suppression.reason || 'suppressed')}"/>\n`;
+      } else {
+        xml += `      <failure type="${escapeXml(violation.severity || 'error')}" message="${escapeXml(violation.message)}">${escapeXml(helpText(violation, helpFor))}</failure>\n`;
+      }
+      xml += '    </testcase>\n';
+    }
+    xml += '  </testsuite>\n';
+  }
+
+  xml += '</testsuites>';
+  return xml;
+}
+
+function toJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+export { fromScanIssues, toSarif, toJunit, toJson };
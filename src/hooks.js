@@ -0,0 +1,131 @@
+import { existsSync, readFileSync, writeFileSync, renameSync, unlinkSync, chmodSync, mkdirSync } from 'fs';
+import { join, relative, resolve, isAbsolute } from 'path';
+import { execFileSync } from 'child_process';
+
+const HOOK = 'pre-commit';
+const BEGIN = '# >>> bonzai-tree >>>';
+const END = '# <<< bonzai-tree <<<';
+// An existing (non-husky) hook is moved here and run first
+const PREVIOUS_SUFFIX = '.bonzai-previous';
+const SKIP_ENV = 'BONZAI_SKIP_HOOKS';
+
+function git(args) {
+  try {
+    return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// Where the pre-commit hook lives: husky's .husky/pre-commit when core.hooksPath
+// points into .husky, otherwise the hooks directory git uses (core.hooksPath or .git/hooks)
+function hookTarget() {
+  const top = git(['rev-parse', '--show-toplevel']);
+  if (!top) {
+    throw new Error('Not a git repository. Run this from inside the repo.');
+  }
+
+  const hooksPath = git(['config', 'core.hooksPath']);
+  if (hooksPath && /(^|[\\/])\.husky([\\/]|$)/.test(hooksPath)) {
+    return { top, husky: true, file: join(top, '.husky', HOOK) };
+  }
+
+  const dir = git(['rev-parse', '--git-path', 'hooks']);
+  const hooksDir = isAbsolute(dir) ? dir : resolve(dir);
+  return { top, husky: false, file: join(hooksDir, HOOK) };
+}
+
+// The snippet added to the hook. Hooks run from the repo root, so it first
+// changes to the folder holding bonzai/ when that's a subfolder
+function hookBlock(top) {
+  const projectDir = relative(top, process.cwd()).replace(/\\/g, '/');
+  const command = projectDir
+    ? `(cd "${projectDir}" && npx bonzai-tree check --staged)`
+    : 'npx bonzai-tree check --staged';
+
+  return [
+    BEGIN,
+    `# Checks staged files against bonzai/config.json. Skip with ${SKIP_ENV}=1 git commit ...`,
+    `if [ -z "$${SKIP_ENV}" ]; then`,
+    `  ${command} || exit 1`,
+    'fi',
+    END
+  ].join('\n');
+}
+
+function stripBlock(content) {
+  const start = content.indexOf(BEGIN);
+  const end = content.indexOf(END);
+  if (start === -1 || end === -1) return content;
+  return (content.slice(0, start) + content.slice(end + END.length)).replace(/\n{3,}/g, '\n\n');
+}
+
+function install() {
+  const target = hookTarget();
+  const block = hookBlock(target.top);
+  const existing = existsSync(target.file) ? readFileSync(target.file, 'utf8') : null;
+
+  if (existing && existing.includes(BEGIN)) {
+    // Reinstall in place, e.g. after the project folder moved
+    writeFileSync(target.file, stripBlock(existing).replace(/\s*$/, '\n\n') + block + '\n', 'utf8');
+    console.log(`Updated the bonzai check in ${relative(target.top, target.file)}`);
+    return;
+  }
+
+  mkdirSync(join(target.file, '..'), { recursive: true });
+
+  if (target.husky) {
+    // Husky hooks are plain shell scripts people edit, so add to the end of it
+    const content = existing ? existing.replace(/\s*$/, '\n\n') + block + '\n' : block + '\n';
+    writeFileSync(target.file, content, 'utf8');
+  } else {
+    let chained = '';
+    if (existing) {
+      // Keep the existing hook (which may not be a shell script) and run it first
+      renameSync(target.file, target.file + PREVIOUS_SUFFIX);
+      chained = `"$(dirname "$0")/${HOOK}${PREVIOUS_SUFFIX}" "$@" || exit $?\n\n`;
+    }
+    writeFileSync(target.file, '#!/bin/sh\n' + chained + block + '\n', 'utf8');
+  }
+  chmodSync(target.file, 0o755);
+
+  console.log(`Installed the bonzai check in ${relative(target.top, target.file)}`);
+  if (existing) {
+    console.log(target.husky ? 'Added after the existing husky hook.' : `Your previous hook now runs first (${HOOK}${PREVIOUS_SUFFIX}).`);
+  }
+  console.log(`Skip it for one commit with ${SKIP_ENV}=1 git commit ...`);
+}
+
+function uninstall() {
+  const target = hookTarget();
+  const existing = existsSync(target.file) ? readFileSync(target.file, 'utf8') : null;
+
+  if (!existing || !existing.includes(BEGIN)) {
+    console.log('The bonzai pre-commit hook is not installed');
+    return;
+  }
+
+  const previous = target.file + PREVIOUS_SUFFIX;
+  if (!target.husky && existsSync(previous)) {
+    renameSync(previous, target.file);
+  } else {
+    const rest = stripBlock(existing);
+    // Nothing left but a shebang means the file was ours
+    if (rest.replace(/^#!.*$/m, '').trim() === '') {
+      unlinkSync(target.file);
+    } else {
+      writeFileSync(target.file, rest.replace(/\s*$/, '\n'), 'utf8');
+    }
+  }
+
+  console.log(`Removed the bonzai check from ${relative(target.top, target.file)}`);
+}
+
+async function main(args = []) {
+  const action = args[0];
+  if (action === 'install') return install();
+  if (action === 'uninstall') return uninstall();
+  throw new Error('Usage: npx bonzai-tree hooks <install|uninstall>');
+}
+
+export { main };
@@ -3,6 +3,7 @@ import { existsSync, mkdirSync, copyFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { ENABLED_LOOPS } from './loops.config.js';
+import { loadEngine } from './engine.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -16,10 +17,22 @@ Usage: npx bonzai-tree [option]
 
 Options:
   (no option)   Initialize bonzai in current directory
+  check         Check the repo against bonzai/config.json rules
+    --update-baseline   Accept current violations (bonzai/baseline.json)
+    --format <type>     text (default), json, sarif or junit
+    --output <file>     Write the report to a file instead of stdout
+    --scan <file>       Include saved scan_code_quality results
+    --since <ref>       Only check files and folders changed since a git ref
+    --staged            Only check files and folders staged for commit
+  tasks         Write rule violations as prompts to bonzai/tasks.md
+  fix --console Remove console.* call statements (preview; --write to apply)
+  fix --unused  Remove unused imports (preview; --write to apply)
+  hooks install     Run \`check --staged\` in a git pre-commit hook
+  hooks uninstall   Remove the pre-commit hook (skip it once with BONZAI_SKIP_HOOKS=1)
   --help        Show this help message`;
 
   if (ENABLED_LOOPS.includes('visualization') || ENABLED_LOOPS.includes('backend')) {
-    help = help.replace('--help', '-v, --visualize   Launch visualization server\n  --help');
+    help = help.replace('--help', '-v, --visualize   Launch visualization server\n    --port <n>        Port to listen on (default 6767, or BONZAI_PORT)\n    --host <host>     Host to bind (default localhost, or BONZAI_HOST)\n    --remote-ui       Load the latest UI from bonzai.dev instead of the packaged one\n    --read-only       Serve the visualization only (no writes, deletes or terminal)\n  --help');
   }
 
   console.log(help);
@@ -31,11 +44,14 @@ function init() {
 
   if (existsSync(bonzaiPath)) {
     console.log(`${BONZAI_DIR}/ already exists`);
+    // Bring an older config.json up to this release's format
+    loadEngine('configFile').loadConfig({ write: true });
     return;
   }
 
   mkdirSync(bonzaiPath, { recursive: true });
   copyFileSync(join(TEMPLATE_DIR, 'config.json'), join(bonzaiPath, 'config.json'));
+  copyFileSync(join(TEMPLATE_DIR, 'config.schema.json'), join(bonzaiPath, 'config.schema.json'));
   console.log(`Created ${BONZAI_DIR}/ folder with config.json`);
   console.log('');
   console.log('  ┌──────────────────────────────────────────────────────┐');
@@ -51,10 +67,30 @@ async function main() {
   if (ENABLED_LOOPS.includes('visualization') || ENABLED_LOOPS.includes('backend')) {
     if (flag === '-v' || flag === '--visualize') {
       const { main: configMain } = await import('./bconfig.js');
-      return configMain?.();
+      return configMain?.(args.slice(1));
     }
   }
 
+  if (flag === 'check') {
+    const { main: checkMain } = await import('./check.js');
+    return checkMain(args.slice(1));
+  }
+
+  if (flag === 'tasks') {
+    const { main: tasksMain } = await import('./tasks.js');
+    return tasksMain(args.slice(1));
+  }
+
+  if (flag === 'fix') {
+    const { main: fixMain } = await import('./fix.js');
+    return fixMain(args.slice(1));
+  }
+
+  if (flag === 'hooks') {
+    const { main: hooksMain } = await import('./hooks.js');
+    return hooksMain(args.slice(1));
+  }
+
   if (flag === '--help') {
     showHelp();
     return;
@@ -0,0 +1,15 @@
+import { loadEngine, requireConfig } from './engine.js';
+
+async function main() {
+  const config = requireConfig();
+  const { runChecks } = loadEngine('checks');
+  const { buildTasks, writeTasks } = loadEngine('tasks');
+
+  const { violations } = await runChecks(config);
+  const taskList = buildTasks(config, violations);
+  const written = writeTasks(taskList);
+
+  console.log(`Wrote ${taskList.tasks.length} task${taskList.tasks.length === 1 ? '' : 's'} to ${written.markdown} and ${written.json}`);
+}
+
+export { main };
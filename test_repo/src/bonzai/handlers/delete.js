@@ -1,20 +1,40 @@
 const fs = require('fs');
 const path = require('path');
 const { ROOT } = require('../config');
+const { touchesAuditLog, fileState, changeFields, record } = require('../utils/audit');
 
 function deleteHandler(req, res) {
+  const origin = req.headers.origin || null;
+  let relativePath = null;
   try {
     const targetPath = path.join(ROOT, req.body.path || '');
     if (!targetPath.startsWith(ROOT)) {
       return res.status(400).send('Invalid path');
     }
+    relativePath = path.relative(ROOT, targetPath).replace(/\\/g, '/');
+    if (touchesAuditLog(targetPath)) {
+      record({ route: '/delete', path: relativePath, origin, error: 'Refused: would change the audit log' });
+      return res.status(403).send('The audit log (bonzai/audit.jsonl) and its folders can\'t be changed through the server');
+    }
+    const before = fileState(targetPath);
     // Delete file or directory recursively
     fs.rmSync(targetPath, { recursive: true, force: true });
+    record({ route: '/delete', path: relativePath, ...changeFields(before, null), origin });
     res.json({ status: 'ok' });
   } catch (e) {
+    record({ route: '/delete', path: relativePath, origin, error: e.message });
     res.status(500).send(e.message);
   }
 }
 
-module.exports = deleteHandler;
+const manifest = {
+  method: 'post',
+  route: '/delete',
+  loop: 'backend',
+  description: 'Delete a file or folder',
+  auth: true,
+  body: { path: { description: 'Repo-relative path', required: true } }
+};
 
+module.exports = deleteHandler;
+module.exports.manifest = manifest;
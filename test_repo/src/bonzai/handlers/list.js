@@ -1,16 +1,171 @@
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { ROOT } = require('../config');
-const { listAllFiles } = require('../utils/fileList');
+const { listAllFiles, virtualNodes } = require('../utils/fileList');
+const { loadConfig } = require('../utils/configFile');
+const { collectEntries, findMissingTests, findFunctionViolations, findDeadExportViolations } = require('../utils/checks');
+const { createResolver } = require('../utils/overrides');
+const { isWorkTree, resolveCommit, changedEntries } = require('../utils/git');
+const { isSuppressed } = require('../utils/suppressions');
 
+// Rules reported on .function/.method virtual files
+const FUNCTION_RULES = ['functionLimit', 'complexityLimit'];
+
+// The UI polls /list, so rule metadata is cached: virtual nodes per file, and the
+// last listMeta result, both reused until a file's mtime or size changes
+const nodeCache = new Map();
+let metaCache = null;
+
+function fileStamp(file) {
+  try {
+    const stat = fs.statSync(path.join(ROOT, file));
+    return `${stat.mtimeMs}:${stat.size}`;
+  } catch (e) {
+    return null;
+  }
+}
+
+function cachedNodes(file) {
+  const stamp = fileStamp(file);
+  const cached = nodeCache.get(file);
+  if (cached && cached.stamp === stamp) {
+    return cached.nodes;
+  }
+  const nodes = virtualNodes(path.join(ROOT, file), file);
+  nodeCache.set(file, { stamp, nodes });
+  return nodes;
+}
+
+// Everything listMeta's result depends on: the config, the git filter, the folders
+// and every file with its mtime and size
+function metaKey(config, changed, entries) {
+  const hash = crypto.createHash('sha1');
+  hash.update(JSON.stringify([config, changed, entries.folders]));
+  for (const file of entries.files) {
+    hash.update(`\n${file}\u0000${fileStamp(file)}`);
+  }
+  return hash.digest('hex');
+}
+
+// Per-entry flags from the config.json rules, keyed like the files list.
+// changed limits them to the changed files of an incremental listing.
+// Rules that no file has enabled are skipped
+function listMeta(repoName, changed) {
+  try {
+    const config = loadConfig();
+    if (!config) {
+      return {};
+    }
+    const entries = collectEntries(ROOT);
+    const key = metaKey(config, changed, entries);
+    if (metaCache && metaCache.key === key) {
+      return metaCache.meta;
+    }
+
+    const meta = {};
+    const { files } = entries;
+    const { ruleFor } = createResolver(config, files);
+    const changedFiles = changed ? new Set(changed.files) : null;
+    const checked = changedFiles ? files.filter(file => changedFiles.has(file)) : files;
+    const enabled = rule => checked.some(file => ruleFor(rule, file));
+
+    if (enabled('testCheck')) {
+      for (const { path: file } of findMissingTests(checked, file => ruleFor('testCheck', file))) {
+        if (isSuppressed(ROOT, { rule: 'testCheck', path: file })) continue;
+        meta[path.join(repoName, file)] = { missingTest: true };
+      }
+    }
+
+    // Functions over functionLimit/complexityLimit: { functionLimit: { value, limit } }
+    for (const rule of FUNCTION_RULES.filter(enabled)) {
+      for (const violation of findFunctionViolations(rule, checked, file => ruleFor(rule, file), cachedNodes)) {
+        if (isSuppressed(ROOT, violation)) continue;
+        const nodeKey = path.join(repoName, violation.node);
+        meta[nodeKey] = { ...meta[nodeKey], [rule]: { value: violation.value, limit: violation.limit } };
+      }
+    }
+
+    // Exported functions and classes nothing imports: { deadExport: true }
+    if (enabled('deadExportCheck')) {
+      const deadExports = findDeadExportViolations(checked, entries, file => ruleFor('deadExportCheck', file), cachedNodes, config);
+      for (const violation of deadExports) {
+        if (!violation.node || isSuppressed(ROOT, violation)) continue;
+        const nodeKey = path.join(repoName, violation.node);
+        meta[nodeKey] = { ...meta[nodeKey], deadExport: true };
+      }
+    }
+
+    // Forget files that are gone
+    const present = new Set(files);
+    for (const file of nodeCache.keys()) {
+      if (!present.has(file)) nodeCache.delete(file);
+    }
+
+    metaCache = { key, meta };
+    return meta;
+  } catch (e) {
+    console.warn('Could not evaluate config.json rules for /list:', e.message);
+    return {};
+  }
+}
+
+// Keep changed files (with their functions/classes), changed folders and the
+// folders above them, so the tree still renders
+function filterChanged(entries, changed) {
+  const keep = new Set([...changed.files, ...changed.folders]);
+  for (const entry of keep) {
+    for (let folder = path.posix.dirname(entry); folder !== '.'; folder = path.posix.dirname(folder)) {
+      keep.add(folder);
+    }
+  }
+
+  return entries.filter(entry => {
+    const normalized = entry.replace(/\\/g, '/').replace(/\/$/, '');
+    if (keep.has(normalized)) return true;
+    return changed.files.some(file => normalized.startsWith(file + '/'));
+  });
+}
+
+// GET /list, optionally ?since=<git ref> or ?staged=1 to list only what changed
 function listHandler(req, res) {
   try {
-    const rootName = path.basename(ROOT);
-    const files = listAllFiles(ROOT, rootName);
-    res.json({ files });
+    let relativeFiles = listAllFiles(ROOT);
+    let changed = null;
+
+    const { since } = req.query;
+    const staged = req.query.staged === '1';
+    if (since !== undefined && isWorkTree(ROOT) && !resolveCommit(ROOT, since)) {
+      return res.status(400).send('since must name a commit (a branch, tag or SHA)');
+    }
+    if (since || staged) {
+      changed = changedEntries(ROOT, { since, staged });
+      if (changed) {
+        relativeFiles = filterChanged(relativeFiles, changed);
+      } else {
+        console.warn('/list: could not get git changes, listing every file');
+      }
+    }
+
+    const repoName = path.basename(ROOT);
+    // Prefix paths with repo name: repoName/src/file.js
+    const files = relativeFiles.map(f => path.join(repoName, f));
+    res.json({ files, root: ROOT, meta: listMeta(repoName, changed) });
   } catch (e) {
     res.status(500).send(e.message);
   }
 }
 
-module.exports = listHandler;
+const manifest = {
+  method: 'get',
+  route: '/list',
+  loop: 'visualization',
+  description: 'List the files, folders and functions of the repo',
+  query: {
+    since: { description: 'Only what changed since this git ref' },
+    staged: { description: 'Only what is staged (1)' }
+  }
+};
 
+module.exports = listHandler;
+module.exports.manifest = manifest;
@@ -0,0 +1,43 @@
+const path = require('path');
+const { ROOT } = require('../config');
+const { loadConfig } = require('../utils/configFile');
+const { runChecks } = require('../utils/checks');
+const { TASKS_MD_PATH, TASKS_JSON_PATH, buildTasks, writeTasks } = require('../utils/tasks');
+const { fileState, changeFields, record } = require('../utils/audit');
+
+// Render current rule violations into bonzai/tasks.md and bonzai/tasks.json
+async function writeTasksHandler(req, res) {
+  const origin = req.headers.origin || null;
+  try {
+    const config = loadConfig();
+    if (!config) {
+      return res.status(404).send('bonzai/config.json not found');
+    }
+    const { violations } = await runChecks(config);
+    const taskList = buildTasks(config, violations);
+
+    const targets = [TASKS_MD_PATH, TASKS_JSON_PATH];
+    const before = targets.map(fileState);
+    const written = writeTasks(taskList);
+    targets.forEach((target, i) => {
+      const relativePath = path.relative(ROOT, target).replace(/\\/g, '/');
+      record({ route: '/tasks', path: relativePath, ...changeFields(before[i], fileState(target)), origin });
+    });
+
+    res.json({ ...taskList, written });
+  } catch (e) {
+    record({ route: '/tasks', path: null, origin, error: e.message });
+    res.status(500).send(e.message);
+  }
+}
+
+const manifest = {
+  method: 'post',
+  route: '/tasks',
+  loop: 'backend',
+  description: 'Write rule violations as prompts to bonzai/tasks.md and tasks.json',
+  auth: true
+};
+
+module.exports = writeTasksHandler;
+module.exports.manifest = manifest;
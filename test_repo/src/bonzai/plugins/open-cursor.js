@@ -0,0 +1,126 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const { ROOT } = require('../config');
+
+// Editors to try, in order. Each is run with execFile and an argument list, so
+// nothing from the request ever goes through a shell
+const CURSOR_COMMANDS = [
+  'cursor',
+  '/Applications/Cursor.app/Contents/Resources/app/bin/cursor',
+  '/usr/local/bin/cursor',
+  'code'
+];
+
+// Absolute path of the requested file inside ROOT, or null if it points outside
+function resolveRequestedPath(requestedPath) {
+  let filePath;
+  if (path.isAbsolute(requestedPath)) {
+    // If absolute path, check if it's within ROOT
+    if (requestedPath.startsWith(ROOT)) {
+      filePath = requestedPath;
+    } else {
+      // Path might contain incorrect segments (like "codemaps")
+      // Try to find ROOT in the path and extract the relative part
+      const rootIndex = requestedPath.indexOf(ROOT);
+      if (rootIndex === -1) {
+        return null;
+      }
+      filePath = path.join(ROOT, requestedPath.substring(rootIndex + ROOT.length).replace(/^\/+/, ''));
+    }
+  } else {
+    // Relative path - resolve relative to ROOT
+    // Remove root directory name prefix if present (from /list endpoint format)
+    const rootName = path.basename(ROOT);
+    let relativePath = requestedPath;
+    if (relativePath.startsWith(rootName + '/')) {
+      relativePath = relativePath.substring(rootName.length + 1);
+    }
+    filePath = path.join(ROOT, relativePath);
+  }
+
+  const relative = path.relative(ROOT, path.resolve(filePath));
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    return null;
+  }
+  return path.resolve(filePath);
+}
+
+// Line to jump to: a positive integer, or null when none was given
+function parseLine(line) {
+  if (line === undefined || line === null || line === '') {
+    return null;
+  }
+  const value = typeof line === 'string' && /^\d+$/.test(line) ? Number(line) : line;
+  return Number.isInteger(value) && value > 0 ? value : NaN;
+}
+
+function openCursorHandler(req, res) {
+  try {
+    const filePath = resolveRequestedPath(req.body.path || '');
+    if (!filePath) {
+      return res.status(400).json({ error: 'Invalid path: path must be within project root' });
+    }
+
+    const line = parseLine(req.body.line);
+    if (Number.isNaN(line)) {
+      return res.status(400).json({ error: 'line must be a positive integer' });
+    }
+
+    // Use proper Cursor CLI syntax for line numbers
+    const args = line ? ['--goto', `${filePath}:${line}`] : [filePath];
+
+    const tryCommand = (commandIndex = 0) => {
+      if (commandIndex >= CURSOR_COMMANDS.length) {
+        return res.status(500).json({
+          error: 'Cursor not found. Please install Cursor CLI or check Cursor installation.'
+        });
+      }
+
+      execFile(CURSOR_COMMANDS[commandIndex], args, (error) => {
+        if (error && error.code === 'ENOENT') {
+          // Command not found, try next one
+          tryCommand(commandIndex + 1);
+        } else if (error) {
+          console.error('Error opening Cursor:', error);
+          res.status(500).json({ error: error.message });
+        } else {
+          // File opened successfully, now bring Cursor to front
+          if (process.platform === 'darwin') {
+            execFile('osascript', ['-e', 'tell application "Cursor" to activate'], (activateError) => {
+              if (activateError) {
+                console.log('Could not activate Cursor, but file opened successfully');
+              }
+            });
+
+            // Additional command to ensure it's really in front
+            setTimeout(() => {
+              execFile('osascript', ['-e', 'tell application "System Events" to set frontmost of process "Cursor" to true'], () => {
+                // Don't worry if this fails
+              });
+            }, 500);
+          }
+
+          res.json({ success: true, message: 'Cursor opened and focused successfully' });
+        }
+      });
+    };
+
+    tryCommand();
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+}
+
+module.exports = openCursorHandler;
+
+module.exports.manifest = {
+  method: 'post',
+  route: '/open-cursor',
+  loop: 'backend',
+  description: 'Open a file in Cursor',
+  auth: true,
+  body: {
+    path: { description: 'Repo-relative or absolute path', required: true },
+    line: { type: 'integer', description: 'Line to jump to' }
+  }
+};
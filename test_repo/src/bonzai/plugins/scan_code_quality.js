@@ -142,3 +142,11 @@ function scanCodeQualityHandler(req, res) {
 }
 
 module.exports = scanCodeQualityHandler;
+
+module.exports.manifest = {
+  method: 'post',
+  route: '/scan_code_quality',
+  loop: 'visualization',
+  description: 'Basic code quality issues under a folder',
+  body: { projectPath: { description: 'Repo-relative path', required: true } }
+};
@@ -0,0 +1,170 @@
+// Versioned JSON API. Routes are served as before and again under /api/v1, where
+// every error has the same shape:
+//   { "error": { "code": "not_found", "message": "Path not found", "details": null } }
+// Handlers keep answering with res.status(n).send(text) or res.status(n).json({ error });
+// the envelope middleware rewrites those on the way out, so they work in both places
+
+const API_PREFIX = '/api/v1';
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  413: 'payload_too_large',
+  500: 'internal_error',
+  501: 'not_implemented',
+  503: 'unavailable'
+};
+
+function errorCode(status) {
+  return ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+// { error: { code, message, details } } for an error response body
+function toEnvelope(status, body) {
+  if (body && typeof body === 'object' && body.error && typeof body.error === 'object') {
+    // Already an envelope
+    return body;
+  }
+  if (body && typeof body === 'object') {
+    const { error, message, ...rest } = body;
+    return {
+      error: {
+        code: errorCode(status),
+        message: String(error || message || 'Request failed'),
+        details: Object.keys(rest).length > 0 ? rest : null
+      }
+    };
+  }
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : String(body || '');
+  return { error: { code: errorCode(status), message: text || 'Request failed', details: null } };
+}
+
+// Middleware for the /api/v1 router: error responses (status >= 400) go out as envelopes
+function envelope(req, res, next) {
+  const send = res.send.bind(res);
+  const json = res.json.bind(res);
+  let wrapped = false;
+
+  res.json = (body) => {
+    if (res.statusCode < 400 || wrapped) return json(body);
+    wrapped = true;
+    return json(toEnvelope(res.statusCode, body));
+  };
+  res.send = (body) => {
+    // res.json ends up here with the serialized body
+    if (res.statusCode < 400 || wrapped) return send(body);
+    wrapped = true;
+    return json(toEnvelope(res.statusCode, body));
+  };
+  next();
+}
+
+// Last handlers of the /api/v1 router: unknown routes and thrown errors.
+// errorHandler also goes after the router on the app, for errors raised before
+// it (like invalid JSON bodies), so it writes the envelope itself
+function notFound(req, res) {
+  res.status(404).json({ error: `No route for ${req.method} ${API_PREFIX}${req.path}` });
+}
+
+// Express tells error handlers apart by their four parameters. A response that
+// already started can't get an envelope, so Express's own handler closes it
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const status = err.status || err.statusCode || 500;
+  res.status(status).json(toEnvelope(status, { error: err.message }));
+}
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', enum: [...new Set(Object.values(ERROR_CODES))] },
+        message: { type: 'string' },
+        details: { type: 'object', nullable: true }
+      }
+    }
+  }
+};
+
+// OpenAPI 3 document for the loaded routes. Each route is a handler manifest
+// (see utils/handlers.js): { method, route, description, details?,
+//   query?: { name: { description, required } }, body?: { name: { type, description, required } }, auth?: true }
+function openApiDocument(routes, { title, version, serverUrl }) {
+  const paths = {};
+  for (const route of routes) {
+    const operation = {
+      summary: route.description,
+      ...(route.details ? { description: route.details } : {}),
+      parameters: Object.entries(route.query || {}).map(([name, param]) => ({
+        name,
+        in: 'query',
+        required: Boolean(param.required),
+        description: param.description,
+        schema: { type: 'string' }
+      })),
+      responses: {
+        200: { description: 'Success' },
+        default: {
+          description: 'Error',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+      }
+    };
+
+    if (route.body) {
+      const required = Object.keys(route.body).filter(name => route.body[name].required);
+      operation.requestBody = {
+        required: required.length > 0,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              ...(required.length > 0 ? { required } : {}),
+              properties: Object.fromEntries(Object.entries(route.body).map(([name, prop]) =>
+                [name, { type: prop.type || 'string', description: prop.description }]))
+            }
+          }
+        }
+      };
+    }
+    if (route.auth) {
+      operation.security = [{ sessionToken: [] }];
+    }
+
+    paths[route.route] = { ...paths[route.route], [route.method]: operation };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title, version },
+    servers: [{ url: serverUrl + API_PREFIX }],
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: {
+        sessionToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Bonzai-Token',
+          description: 'Session token printed when the server starts (also accepted as ?token= or the session cookie).'
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  API_PREFIX,
+  envelope,
+  notFound,
+  errorHandler,
+  openApiDocument
+};
@@ -0,0 +1,84 @@
+const path = require('path');
+const { babelParser } = require('../config');
+
+// Same plugin set as the function extraction in parsers.js
+const PARSER_PLUGINS = [
+  'typescript',
+  'jsx',
+  'decorators-legacy',
+  'classProperties',
+  'objectRestSpread',
+  'asyncGenerators',
+  'functionBind',
+  'exportDefaultFrom',
+  'exportNamespaceFrom',
+  'dynamicImport',
+  'nullishCoalescingOperator',
+  'optionalChaining'
+];
+
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+function parserInstalled() {
+  return Boolean(babelParser);
+}
+
+function isParsable(file) {
+  const ext = path.extname(file).toLowerCase();
+  return SCRIPT_EXTENSIONS.includes(ext) || ext === '.vue';
+}
+
+// Parse a JS/TS file, or the <script> block of a .vue file. Returns { ast, offset }
+// where offset is where the parsed code starts in content (node positions are
+// relative to it), or null if the parser isn't installed, there's no script or
+// the code doesn't parse
+function parseSource(content, file) {
+  if (!babelParser || !isParsable(file)) {
+    return null;
+  }
+
+  let code = content;
+  let offset = 0;
+  let startLine = 1;
+  if (file.toLowerCase().endsWith('.vue')) {
+    const match = content.match(/(<script\b[^>]*>)([\s\S]*?)<\/script>/);
+    if (!match) return null;
+    code = match[2];
+    offset = match.index + match[1].length;
+    startLine = content.slice(0, offset).split('\n').length;
+  }
+
+  try {
+    const ast = babelParser.parse(code, {
+      sourceType: 'unambiguous',
+      startLine,
+      plugins: PARSER_PLUGINS
+    });
+    return { ast, offset };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Depth-first walk calling visit(node, parent, key) for every node.
+// Returning false from visit skips the node's children
+function walk(node, visit, parent = null, key = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, parent, key) === false) return;
+
+  for (const [childKey, value] of Object.entries(node)) {
+    if (childKey === 'loc' || childKey.endsWith('Comments')) continue;
+    if (Array.isArray(value)) {
+      for (const child of value) walk(child, visit, node, childKey);
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visit, node, childKey);
+    }
+  }
+}
+
+module.exports = {
+  parserInstalled,
+  isParsable,
+  parseSource,
+  walk
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../config');
+
+// Append-only log of what the server changed: one JSON object per line in
+// bonzai/audit.jsonl. Entries have a timestamp, the route, and depending on it
+// the repo path, byte counts and sha256 of the content before and after, the
+// client's Origin header, or a terminal session id and event (start/stop)
+const AUDIT_PATH = path.join(ROOT, 'bonzai', 'audit.jsonl');
+
+// Path with symlinks resolved as far as it exists, so a link can't lead around the check below
+function realPath(fullPath) {
+  let existing = path.resolve(fullPath);
+  const rest = [];
+  while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+    rest.unshift(path.basename(existing));
+    existing = path.dirname(existing);
+  }
+  try {
+    return path.join(fs.realpathSync(existing), ...rest);
+  } catch (e) {
+    return path.resolve(fullPath);
+  }
+}
+
+// Whether a /write or /delete of fullPath would change the audit log: the log
+// itself, or a folder it's in (bonzai/, the repo root). The routes it audits
+// mustn't be able to rewrite it. macOS and Windows paths are case-insensitive
+function touchesAuditLog(fullPath) {
+  const fold = value => (process.platform === 'darwin' || process.platform === 'win32' ? value.toLowerCase() : value);
+  const relative = path.relative(fold(realPath(fullPath)), fold(realPath(AUDIT_PATH)));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Size and hash of a file, { type: 'directory' } for a folder, or null if missing
+function fileState(fullPath) {
+  try {
+    const stat = fs.statSync(fullPath);
+    if (stat.isDirectory()) return { type: 'directory' };
+    const content = fs.readFileSync(fullPath);
+    return { bytes: content.length, sha256: crypto.createHash('sha256').update(content).digest('hex') };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Fields describing a change from before to after (fileState results)
+function changeFields(before, after) {
+  const field = (state, name) => (state && state[name] !== undefined ? state[name] : null);
+  return {
+    bytesBefore: field(before, 'bytes'),
+    bytesAfter: field(after, 'bytes'),
+    hashBefore: field(before, 'sha256'),
+    hashAfter: field(after, 'sha256'),
+    ...(before && before.type === 'directory' ? { type: 'directory' } : {})
+  };
+}
+
+// Append an entry. Logging must never break the action itself, so failures only warn
+function record(entry) {
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_PATH), { recursive: true });
+    fs.appendFileSync(AUDIT_PATH, JSON.stringify({ timestamp: new Date().toISOString(), ...entry }) + '\n');
+  } catch (e) {
+    console.warn('Could not write the audit log:', e.message);
+  }
+}
+
+// Entries matching the filters, oldest first:
+//   path   a file (exact) or folder (everything under it)
+//   since / until   anything Date.parse reads (ISO dates, timestamps)
+//   limit  keep only the last n
+function queryAudit({ path: filterPath, since, until, limit } = {}) {
+  let content;
+  try {
+    content = fs.readFileSync(AUDIT_PATH, 'utf8');
+  } catch (e) {
+    return [];
+  }
+
+  const folder = filterPath ? filterPath.replace(/\/+$/, '') + '/' : null;
+  const from = since ? Date.parse(since) : null;
+  const to = until ? Date.parse(until) : null;
+
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      // A line cut off by a crash
+      continue;
+    }
+
+    if (filterPath && !(entry.path === filterPath || (entry.path && entry.path.startsWith(folder)))) continue;
+    const time = Date.parse(entry.timestamp);
+    if (from !== null && time < from) continue;
+    if (to !== null && time > to) continue;
+    entries.push(entry);
+  }
+  return limit ? entries.slice(-limit) : entries;
+}
+
+module.exports = {
+  AUDIT_PATH,
+  touchesAuditLog,
+  fileState,
+  changeFields,
+  record,
+  queryAudit
+};
@@ -0,0 +1,58 @@
+const { walk } = require('./ast');
+
+const FUNCTION_TYPES = [
+  'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression',
+  'ObjectMethod', 'ClassMethod', 'ClassPrivateMethod'
+];
+
+// Cyclomatic complexity of a function node, counted like ESLint's complexity
+// rule: 1, plus one per branch (if, ?:, loops, catch, case, default parameter
+// values) and per && / || / ?? operator. Nested functions count separately
+function cyclomaticComplexity(fn) {
+  let complexity = 1;
+  walk(fn, node => {
+    if (node !== fn && FUNCTION_TYPES.includes(node.type)) return false;
+
+    switch (node.type) {
+      case 'IfStatement':
+      case 'ConditionalExpression':
+      case 'ForStatement':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+      case 'CatchClause':
+      case 'AssignmentPattern':
+        complexity++;
+        break;
+      case 'SwitchCase':
+        if (node.test) complexity++;
+        break;
+      case 'LogicalExpression':
+        complexity++;
+        break;
+      case 'AssignmentExpression':
+        if (['&&=', '||=', '??='].includes(node.operator)) complexity++;
+        break;
+    }
+  });
+  return complexity;
+}
+
+// Python has no AST here, so count the same kinds of branches by keyword
+// (strings and comments stripped first)
+function pythonComplexity(source) {
+  const code = source
+    .replace(/("""|''')[\s\S]*?\1/g, '')
+    .replace(/(["'])(?:\\.|(?!\1)[^\\\n])*\1/g, '""')
+    .replace(/#.*$/gm, '');
+  const branches = code.match(/\b(if|elif|for|while|except|and|or|case)\b/g) || [];
+  // `case _:` is the default branch
+  const defaults = code.match(/\bcase\s+_\s*:/g) || [];
+  return 1 + branches.length - defaults.length;
+}
+
+module.exports = {
+  cyclomaticComplexity,
+  pythonComplexity
+};
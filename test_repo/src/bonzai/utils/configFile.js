@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../config');
+
+// bonzai/config.json in the repo (created by `npx bonzai-tree`)
+const CONFIG_PATH = path.join(ROOT, 'bonzai', 'config.json');
+
+// Current config format version (payload-bonzai/config.json)
+const CONFIG_VERSION = 1;
+
+// Rule sections that came with the version field, added to older configs turned
+// off, so upgrading doesn't start failing checks that passed before
+const VERSION_1_SECTIONS = {
+  unusedCheck: {
+    enabled: false,
+    parameters: true,
+    prompt: 'Remove unused imports, variables and parameters.'
+  },
+  functionLimit: {
+    enabled: false,
+    limit: 80,
+    prompt: 'Split any function with over {{ functionlimit }} lines into smaller functions.'
+  },
+  complexityLimit: {
+    enabled: false,
+    limit: 15,
+    prompt: 'Simplify any function with a cyclomatic complexity over {{ complexitylimit }} by extracting branches into helper functions or returning early.'
+  },
+  duplicateCheck: {
+    enabled: false,
+    similarity: 0.85,
+    minTokens: 40,
+    prompt: 'Extract the duplicated logic into one shared function and call it from each copy.'
+  },
+  deadExportCheck: {
+    enabled: false,
+    allow: ['**/*.config.*', '**/*.test.*', '**/*.spec.*'],
+    prompt: 'Remove exports that nothing imports, or the code behind them if it is no longer used.'
+  }
+};
+
+// Upgrade steps: MIGRATIONS[n] turns a version n config into version n + 1.
+// Add a step here whenever the shape of payload-bonzai/config.json changes.
+const MIGRATIONS = {
+  // Unversioned configs from before the schema existed
+  0: (config) => ({ $schema: './config.schema.json', version: 1, ...VERSION_1_SECTIONS, ...config })
+};
+
+// The schema sits next to config.js in the server, and in payload-bonzai/ in the package
+function loadSchema() {
+  const schemaPath = [
+    path.join(__dirname, '..', 'config.schema.json'),
+    path.join(__dirname, '..', '..', 'payload-bonzai', 'config.schema.json')
+  ].find(candidate => fs.existsSync(candidate));
+  return schemaPath ? JSON.parse(fs.readFileSync(schemaPath, 'utf8')) : null;
+}
+
+// Bring a config up to CONFIG_VERSION. Returns { config, from, migrated }
+function migrateConfig(config) {
+  const from = Number.isInteger(config.version) ? config.version : 0;
+  let migrated = config;
+  for (let version = from; version < CONFIG_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+    migrated.version = version + 1;
+  }
+  return { config: migrated, from, migrated: from < CONFIG_VERSION };
+}
+
+// Read bonzai/config.json and bring it up to CONFIG_VERSION in memory.
+// Returns { config, from, migrated }, or null if the file doesn't exist yet
+function readConfig() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    return null;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (e) {
+    throw new Error('Invalid JSON in bonzai/config.json: ' + e.message);
+  }
+  return migrateConfig(config);
+}
+
+// The (migrated) config, or null if there is none. Only setup and the CLI pass
+// write: true to save a migrated config back; the server never writes it
+function loadConfig({ write = false } = {}) {
+  const result = readConfig();
+  if (!result) {
+    return null;
+  }
+
+  if (result.migrated && write) {
+    fs.writeFileSync(CONFIG_PATH, JSON.stringify(result.config, null, 2) + '\n', 'utf8');
+    console.log(`Migrated bonzai/config.json from version ${result.from} to ${CONFIG_VERSION}`);
+  }
+  return result.config;
+}
+
+function levenshtein(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+}
+
+// Closest known key for a typo (case-insensitive match or up to 2 edits away)
+function suggestKey(key, known) {
+  const exact = known.find(name => name.toLowerCase() === key.toLowerCase());
+  if (exact) return exact;
+  const scored = known
+    .map(name => ({ name, distance: levenshtein(key.toLowerCase(), name.toLowerCase()) }))
+    .filter(candidate => candidate.distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+  return scored.length > 0 ? scored[0].name : null;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+// Follow a local $ref (#/definitions/name)
+function resolveRef(schema, root) {
+  if (!schema.$ref) return schema;
+  return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+}
+
+// Validate value against the subset of JSON Schema draft-07 used by config.schema.json
+// (type, enum, minimum, properties, required, additionalProperties, items, oneOf, $ref)
+function validateNode(value, schema, root, where, errors) {
+  if (schema.$ref) {
+    return validateNode(value, resolveRef(schema, root), root, where, errors);
+  }
+
+  const label = where || 'config';
+
+  if (schema.oneOf) {
+    const results = schema.oneOf.map(option => {
+      const optionErrors = [];
+      validateNode(value, option, root, where, optionErrors);
+      return { option, optionErrors };
+    });
+    if (results.some(result => result.optionErrors.length === 0)) {
+      return;
+    }
+    // Report the errors of the option with the right type, if any
+    const types = schema.oneOf.map(option => resolveRef(option, root).type);
+    const sameType = results.find((result, i) => types[i] === typeOf(value));
+    if (sameType) {
+      errors.push(...sameType.optionErrors);
+    } else {
+      errors.push(`${label}: expected ${types.join(' or ')}`);
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const ok = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+    if (!ok) {
+      errors.push(`${label}: expected ${schema.type}, got ${actual}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${label}: must be at least ${schema.minimum}`);
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, i) => validateNode(item, schema.items, root, `${label}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const known = Object.keys(properties);
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${label}: missing required key "${key}"`);
+      }
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      const childWhere = /^[A-Za-z_$][\w$]*$/.test(key)
+        ? (where ? `${where}.${key}` : key)
+        : `${where}[${JSON.stringify(key)}]`;
+      if (properties[key]) {
+        validateNode(child, properties[key], root, childWhere, errors);
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, known);
+        errors.push(`${childWhere}: unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(child, schema.additionalProperties, root, childWhere, errors);
+      }
+    }
+  }
+}
+
+// Check a (migrated) config against the schema. Returns a list of readable errors
+function validateConfig(config) {
+  const errors = [];
+  if (Number.isInteger(config.version) && config.version > CONFIG_VERSION) {
+    errors.push(`version: ${config.version} is newer than this bonzai-tree supports (${CONFIG_VERSION}); update bonzai-tree`);
+  }
+
+  const schema = loadSchema();
+  if (schema) {
+    validateNode(config, schema, schema, '', errors);
+  }
+  return errors;
+}
+
+// Check a .bonzai.json file against the schema's directoryConfig definition
+function validateDirectoryConfig(layer) {
+  const errors = [];
+  const schema = loadSchema();
+  if (schema && schema.definitions.directoryConfig) {
+    validateNode(layer, schema.definitions.directoryConfig, schema, '', errors);
+  }
+  return errors;
+}
+
+module.exports = {
+  CONFIG_PATH,
+  CONFIG_VERSION,
+  readConfig,
+  loadConfig,
+  migrateConfig,
+  validateConfig,
+  validateDirectoryConfig
+};
@@ -3,8 +3,93 @@ const path = require('path');
 const { getIgnorePatterns, shouldIgnore } = require('./ignore');
 const { extractPythonFunctions, extractJavaScriptFunctions, extractVueFunctions } = require('./parsers');
 
+// Pick the parser for files that get .function/.class/.method virtual children
+// Skip .d.ts files (TypeScript declaration files) and .min.js files (minified)
+function parserFor(file) {
+  if (file.endsWith('.py')) {
+    return extractPythonFunctions;
+  }
+  if ((file.endsWith('.js') || file.endsWith('.jsx') || file.endsWith('.ts') || file.endsWith('.tsx')) &&
+      !file.endsWith('.d.ts') && !file.endsWith('.min.js')) {
+    return extractJavaScriptFunctions;
+  }
+  if (file.endsWith('.vue')) {
+    return extractVueFunctions;
+  }
+  return null;
+}
+
+// Functions, classes, and methods of a source file as virtual nodes, each with its
+// list path (src/a.js/foo.function, src/a.js/User.class/User.save.method) and line range.
+// source replaces the file's content on disk (staged content, for instance)
+function virtualNodes(fullPath, relativePath, source) {
+  const parser = parserFor(fullPath);
+  if (!parser) {
+    return [];
+  }
+  
+  const parseResult = parser(fullPath, source);
+  const nodes = [];
+  
+  for (const func of parseResult.functions) {
+    const functionFilePath = path.join(relativePath, func.name + '.function').replace(/\\/g, '/');
+    nodes.push({ ...func, type: 'function', path: functionFilePath });
+  }
+  
+  // Classes, with their methods nested under the class: ClassName.methodName
+  for (const cls of parseResult.classes) {
+    const classFilePath = path.join(relativePath, cls.name + '.class').replace(/\\/g, '/');
+    nodes.push({ ...cls, type: 'class', path: classFilePath });
+    
+    for (const method of cls.methods || []) {
+      const methodFilePath = path.join(classFilePath, method.name + '.method').replace(/\\/g, '/');
+      nodes.push({ ...method, type: 'method', path: methodFilePath });
+    }
+  }
+  
+  return nodes;
+}
+
+// Group line-based messages (lint problems, type errors) by the innermost
+// function/class/method of file that contains them, keyed by virtual path
+// (source, when given, is the content the messages were reported against)
+function messagesByNode(file, messages, root, source) {
+  const nodes = virtualNodes(path.join(root, file), file, source);
+  const byNode = {};
+  
+  for (const message of messages) {
+    let owner = null;
+    for (const node of nodes) {
+      if (node.startLine <= message.line && message.line <= node.endLine &&
+          (!owner || node.endLine - node.startLine < owner.endLine - owner.startLine)) {
+        owner = node;
+      }
+    }
+    if (owner) {
+      if (!byNode[owner.path]) byNode[owner.path] = [];
+      byNode[owner.path].push(message);
+    }
+  }
+  return byNode;
+}
+
+// Walk up a virtual path (src/a.js/User.class/User.save.method) to the
+// repo-relative source file it belongs to, or null
+function findSourceFile(virtualPath, root) {
+  const segments = virtualPath.split('/');
+  for (let i = 1; i < segments.length; i++) {
+    const candidate = segments.slice(0, i).join('/');
+    const fullPath = path.join(root, candidate);
+    if (parserFor(candidate) && fs.existsSync(fullPath) && fs.statSync(fullPath).isFile()) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
 // Recursively list all files in a directory, respecting ignore patterns
-function listAllFiles(dir, base = '', ignorePatterns = null) {
+// Set includeVirtual to false to skip the .function/.class/.method entries (no parsing)
+function listAllFiles(dir, base = '', ignorePatterns = null, includeVirtual = true) {
   if (ignorePatterns === null) {
     ignorePatterns = getIgnorePatterns();
   }
@@ -30,7 +115,7 @@ function listAllFiles(dir, base = '', ignorePatterns = null) {
       // Add the directory itself to results
       results.push(relativePath + '/');
       // Recursively list files inside the directory
-      results = results.concat(listAllFiles(fullPath, relativePath, ignorePatterns));
+      results = results.concat(listAllFiles(fullPath, relativePath, ignorePatterns, includeVirtual));
     } else {
       // Skip files in node_modules explicitly
       if (relativePath.includes('node_modules/') || fullPath.includes('node_modules')) {
@@ -39,51 +124,9 @@ function listAllFiles(dir, base = '', ignorePatterns = null) {
       
       results.push(relativePath);
       
-      // Helper function to add functions, classes, and methods as virtual files
-      const addVirtualFiles = (parseResult, filePath) => {
-        // Add functions
-        for (const func of parseResult.functions) {
-          const functionFileName = func.name + '.function';
-          const functionFilePath = path.join(filePath, functionFileName).replace(/\\/g, '/');
-          results.push(functionFilePath);
-        }
-        
-        // Add classes and their methods
-        for (const cls of parseResult.classes) {
-          // Add class itself (optional, but useful)
-          const className = cls.name + '.class';
-          const classFilePath = path.join(filePath, className).replace(/\\/g, '/');
-          results.push(classFilePath);
-          
-          // Add methods nested under the class: ClassName.methodName
-          if (cls.methods && cls.methods.length > 0) {
-            for (const method of cls.methods) {
-              const methodFileName = method.name + '.method';
-              const methodFilePath = path.join(classFilePath, methodFileName).replace(/\\/g, '/');
-              results.push(methodFilePath);
-            }
-          }
-        }
-      };
-      
-      // Handle Python files
-      if (file.endsWith('.py')) {
-        const parseResult = extractPythonFunctions(fullPath);
-        addVirtualFiles(parseResult, relativePath);
-      }
-      
-      // Handle JavaScript/TypeScript files
-      // Skip .d.ts files (TypeScript declaration files) and .min.js files (minified)
-      if ((file.endsWith('.js') || file.endsWith('.jsx') || file.endsWith('.ts') || file.endsWith('.tsx')) &&
-          !file.endsWith('.d.ts') && !file.endsWith('.min.js')) {
-        const parseResult = extractJavaScriptFunctions(fullPath);
-        addVirtualFiles(parseResult, relativePath);
-      }
-      
-      // Handle Vue files
-      if (file.endsWith('.vue')) {
-        const parseResult = extractVueFunctions(fullPath);
-        addVirtualFiles(parseResult, relativePath);
+      // Add functions, classes, and methods as virtual files
+      if (includeVirtual) {
+        results.push(...virtualNodes(fullPath, relativePath).map(node => node.path));
       }
     }
   }
@@ -91,6 +134,9 @@ function listAllFiles(dir, base = '', ignorePatterns = null) {
 }
 
 module.exports = {
-  listAllFiles
+  listAllFiles,
+  virtualNodes,
+  messagesByNode,
+  findSourceFile
 };
 
@@ -0,0 +1,176 @@
+const { parseSource, walk } = require('./ast');
+const { findUnused } = require('./unused');
+
+// Offsets where each line starts
+function lineStarts(content) {
+  const starts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+}
+
+function lineAt(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+}
+
+// Turn character replacements ([{ start, end, text }]) into line edits for diff.js.
+// Lines left empty by a removal are dropped entirely
+function toLineEdits(content, replacements) {
+  const starts = lineStarts(content);
+  const lineEnd = line => (line < starts.length ? starts[line] - 1 : content.length);
+
+  const groups = [];
+  for (const replacement of [...replacements].sort((a, b) => a.start - b.start)) {
+    const first = lineAt(starts, replacement.start);
+    const last = lineAt(starts, replacement.end);
+    const group = groups[groups.length - 1];
+    if (group && first <= group.end) {
+      group.end = Math.max(group.end, last);
+      group.replacements.push(replacement);
+    } else {
+      groups.push({ start: first, end: last, replacements: [replacement] });
+    }
+  }
+
+  return groups.map(group => {
+    const from = starts[group.start - 1];
+    let text = content.slice(from, lineEnd(group.end));
+    for (const replacement of [...group.replacements].reverse()) {
+      let rest = text.slice(replacement.end - from);
+      // A removal takes the spaces after it along, so `a(); b();` -> `b();`
+      if (replacement.text === '') rest = rest.replace(/^[ \t]+/, '');
+      text = text.slice(0, replacement.start - from) + replacement.text + rest;
+    }
+    text = text.replace(/[ \t]+(\r?)$/gm, '$1');
+    return { start: group.start, end: group.end, lines: text.trim() === '' ? [] : text.split('\n') };
+  });
+}
+
+// Leftmost object of a member chain: console in console.log.apply(...)
+function rootObject(node) {
+  while (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    node = node.object;
+  }
+  return node;
+}
+
+function isConsoleCall(expression) {
+  if (expression.type !== 'CallExpression' && expression.type !== 'OptionalCallExpression') return false;
+  const callee = expression.callee;
+  if (callee.type !== 'MemberExpression' && callee.type !== 'OptionalMemberExpression') return false;
+  const root = rootObject(callee);
+  return root.type === 'Identifier' && root.name === 'console';
+}
+
+// Whether the file declares its own `console` (a parameter, variable or import),
+// in which case console.* calls aren't the global console
+function shadowsConsole(ast) {
+  let shadowed = false;
+  walk(ast, (node, parent, key) => {
+    if (shadowed) return false;
+    if (node.type === 'Identifier' && node.name === 'console' && ['id', 'params', 'local', 'param'].includes(key)) {
+      shadowed = true;
+    }
+  });
+  return shadowed;
+}
+
+// console.* call statements in a file. Calls used as values (`x && console.log(x)`,
+// `const log = console.log`) are left alone, as are strings and comments.
+// Returns { edits, removed: [{ line, code }] } or null if the file can't be parsed
+function consoleFix(content, file) {
+  const parsed = parseSource(content, file);
+  if (!parsed) return null;
+  if (shadowsConsole(parsed.ast)) return { edits: [], removed: [] };
+
+  const replacements = [];
+  const removed = [];
+  walk(parsed.ast, (node, parent, key) => {
+    if (node.type !== 'ExpressionStatement' || !isConsoleCall(node.expression)) return;
+
+    // In a statement list the statement can go; as the body of an if/loop
+    // without braces it's replaced with an empty block
+    const inList = Array.isArray(parent[key]);
+    const start = parsed.offset + node.start;
+    const end = parsed.offset + node.end;
+    replacements.push({ start, end, text: inList ? '' : '{}' });
+    removed.push({ line: node.loc.start.line, code: content.slice(start, end).split('\n')[0] });
+    return false;
+  });
+
+  return { edits: toLineEdits(content, replacements), removed };
+}
+
+// Rebuild an import declaration with only the specifiers in keep, reusing their
+// source text (so `type X` and `X as Y` survive). Multi-line braces stay multi-line
+function rewriteImport(content, offset, declaration, keep) {
+  const text = node => content.slice(offset + node.start, offset + node.end);
+  const defaults = keep.filter(specifier => specifier.type !== 'ImportSpecifier').map(text);
+  const named = keep.filter(specifier => specifier.type === 'ImportSpecifier').map(text);
+
+  const parts = [...defaults];
+  if (named.length > 0) {
+    const original = content.slice(offset + declaration.start, offset + declaration.source.start);
+    const indent = (original.match(/\{\s*\n([ \t]*)/) || [])[1];
+    parts.push(indent !== undefined
+      ? `{\n${named.map(name => indent + name).join(',\n')}\n}`
+      : `{ ${named.join(', ')} }`);
+  }
+
+  const kind = declaration.importKind === 'type' ? 'type ' : '';
+  const rest = content.slice(offset + declaration.source.start, offset + declaration.end);
+  return `import ${kind}${parts.join(', ')} from ${rest}`;
+}
+
+// What's left of an import declaration without specifiers: `import './module';`,
+// or nothing for `import type`
+function bareImport(content, offset, declaration) {
+  if (declaration.importKind === 'type') return '';
+  return `import ${content.slice(offset + declaration.source.start, offset + declaration.end)}`;
+}
+
+// Unused import specifiers, removed from their import declarations. When none are
+// left the declaration becomes a bare `import './module'`, since the module may
+// have side effects (type-only imports have none and are removed). Variables and
+// parameters are only reported, since removing them can change behavior.
+// Returns { edits, removed: [{ line, code }] } or null if the file can't be parsed
+function unusedImportsFix(content, file) {
+  const unused = findUnused(content, file);
+  if (!unused) return null;
+
+  const byDeclaration = new Map();
+  for (const item of unused.filter(candidate => candidate.kind === 'import')) {
+    if (!byDeclaration.has(item.declaration)) byDeclaration.set(item.declaration, { offset: item.offset, specifiers: [] });
+    byDeclaration.get(item.declaration).specifiers.push(item.specifier);
+  }
+
+  const replacements = [];
+  const removed = [];
+  for (const [declaration, { offset, specifiers }] of byDeclaration) {
+    const keep = declaration.specifiers.filter(specifier => !specifiers.includes(specifier));
+    replacements.push({
+      start: offset + declaration.start,
+      end: offset + declaration.end,
+      text: keep.length > 0 ? rewriteImport(content, offset, declaration, keep) : bareImport(content, offset, declaration)
+    });
+    for (const specifier of specifiers) {
+      removed.push({ line: specifier.loc.start.line, code: content.slice(offset + specifier.start, offset + specifier.end) });
+    }
+  }
+
+  return { edits: toLineEdits(content, replacements), removed };
+}
+
+module.exports = {
+  toLineEdits,
+  consoleFix,
+  unusedImportsFix
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../config');
+const { validateDirectoryConfig } = require('./configFile');
+
+// Per-directory config file: rule settings for that folder and everything below it
+const DIRECTORY_CONFIG = '.bonzai.json';
+
+// Convert a repo-relative glob (*, **, ?) to a regex
+function globToRegExp(glob) {
+  let pattern = glob.replace(/^\.?\//, '');
+  pattern = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  pattern = pattern.replace(/\*\*\//g, '|||DOUBLESTARSLASH|||');
+  pattern = pattern.replace(/\*\*/g, '|||DOUBLESTAR|||');
+  pattern = pattern.replace(/\*/g, '[^/]*');
+  pattern = pattern.replace(/\?/g, '[^/]');
+  pattern = pattern.replace(/\|\|\|DOUBLESTARSLASH\|\|\|/g, '(.*/)?');
+  pattern = pattern.replace(/\|\|\|DOUBLESTAR\|\|\|/g, '.*');
+  return new RegExp('^' + pattern + '$');
+}
+
+// Apply one layer of rule settings on top of config. Each rule section is merged
+// key by key; `"rule": false` disables the rule
+function applyLayer(config, layer) {
+  const merged = { ...config };
+  for (const [name, value] of Object.entries(layer)) {
+    if (name === 'files' || name === '$schema') continue;
+    if (value === false) {
+      merged[name] = { ...merged[name], enabled: false };
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      merged[name] = { ...merged[name], ...value };
+    }
+  }
+  return merged;
+}
+
+// Read every .bonzai.json among the repo's files, keyed by folder ('.' for the root)
+function loadDirectoryConfigs(files, root) {
+  const layers = new Map();
+  for (const file of files) {
+    if (path.posix.basename(file) !== DIRECTORY_CONFIG) continue;
+    try {
+      const layer = JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+      for (const error of validateDirectoryConfig(layer)) {
+        console.warn(`${file}: ${error}`);
+      }
+      layers.set(path.posix.dirname(file), layer);
+    } catch (e) {
+      console.warn(`Could not read ${file}:`, e.message);
+    }
+  }
+  return layers;
+}
+
+// Folders from the repo root down to the one holding entry ('a/b/c.js' -> ., a, a/b).
+// A folder entry (trailing slash) includes itself
+function ancestorFolders(entry) {
+  const segments = entry.split('/').slice(0, -1);
+  const folders = ['.'];
+  for (let i = 1; i <= segments.length; i++) {
+    folders.push(segments.slice(0, i).join('/'));
+  }
+  return folders;
+}
+
+// Effective config per file. config.json `overrides` apply in order, then the
+// .bonzai.json files from the root down, so the closest one wins.
+// Folders are resolved with a trailing slash ('src/generated/') so `src/generated/**` matches them
+function createResolver(config, files, root = ROOT) {
+  const overrides = (config.overrides || []).map(override => ({
+    layer: override,
+    patterns: [].concat(override.files || []).map(globToRegExp)
+  }));
+  const directories = loadDirectoryConfigs(files, root);
+
+  function configFor(entry) {
+    let effective = config;
+    for (const { layer, patterns } of overrides) {
+      if (patterns.some(pattern => pattern.test(entry))) {
+        effective = applyLayer(effective, layer);
+      }
+    }
+    for (const folder of ancestorFolders(entry)) {
+      if (directories.has(folder)) {
+        effective = applyLayer(effective, directories.get(folder));
+      }
+    }
+    return effective;
+  }
+
+  // The rule's settings for entry, or null when it's disabled there
+  function ruleFor(name, entry) {
+    const rule = configFor(entry)[name];
+    return rule && rule.enabled ? rule : null;
+  }
+
+  return { configFor, ruleFor };
+}
+
+module.exports = {
+  DIRECTORY_CONFIG,
+  globToRegExp,
+  createResolver
+};
@@ -1,10 +1,12 @@
 const fs = require('fs');
 const { babelParser } = require('../config');
+const { cyclomaticComplexity, pythonComplexity } = require('./complexity');
 
 // Extract functions, classes, and methods from a Python file
-function extractPythonFunctions(filePath) {
+// (source, when given, is parsed instead of the file's content on disk)
+function extractPythonFunctions(filePath, source) {
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
+    const content = source !== undefined ? source : fs.readFileSync(filePath, 'utf8');
     const lines = content.split('\n');
     const functions = [];
     const classes = [];
@@ -225,6 +227,10 @@ function extractPythonFunctions(filePath) {
       classes.push(currentClass);
     }
     
+    for (const func of [...functions, ...classes.flatMap(cls => cls.methods)]) {
+      func.complexity = pythonComplexity(func.content);
+    }
+    
     return { functions, classes };
   } catch (e) {
     // If parsing fails (invalid Python, etc.), return empty arrays
@@ -234,7 +240,8 @@ function extractPythonFunctions(filePath) {
 }
 
 // Extract functions, classes, and methods from a JavaScript/TypeScript file
-function extractJavaScriptFunctions(filePath) {
+// (source, when given, is parsed instead of the file's content on disk)
+function extractJavaScriptFunctions(filePath, source) {
   try {
     if (!babelParser) {
       return { functions: [], classes: [] };
@@ -245,7 +252,7 @@ function extractJavaScriptFunctions(filePath) {
       return { functions: [], classes: [] };
     }
     
-    const content = fs.readFileSync(filePath, 'utf8');
+    const content = source !== undefined ? source : fs.readFileSync(filePath, 'utf8');
     const functions = [];
     const classes = [];
     
@@ -294,7 +301,8 @@ function extractJavaScriptFunctions(filePath) {
             name: node.id.name,
             content: getCode(node),
             startLine: node.loc ? node.loc.start.line : 0,
-            endLine: node.loc ? node.loc.end.line : 0
+            endLine: node.loc ? node.loc.end.line : 0,
+            complexity: cyclomaticComplexity(node)
           });
         }
         
@@ -308,7 +316,8 @@ function extractJavaScriptFunctions(filePath) {
             name: node.id.name,
             content: funcContent,
             startLine: node.loc ? node.loc.start.line : 0,
-            endLine: node.loc ? node.loc.end.line : 0
+            endLine: node.loc ? node.loc.end.line : 0,
+            complexity: cyclomaticComplexity(node.init)
           });
         }
         
@@ -317,8 +326,10 @@ function extractJavaScriptFunctions(filePath) {
           const methods = [];
           if (classNode.body && classNode.body.body && Array.isArray(classNode.body.body)) {
             for (const member of classNode.body.body) {
-              // Handle MethodDefinition (regular methods, constructors, getters, setters, static methods)
-              if (member && member.type === 'MethodDefinition' && member.key) {
+              // Handle methods (regular methods, constructors, getters, setters, static methods):
+              // ClassMethod/ClassPrivateMethod from Babel, MethodDefinition from ESTree parsers
+              const isMethod = member && ['ClassMethod', 'ClassPrivateMethod', 'MethodDefinition'].includes(member.type);
+              if (isMethod && member.key) {
                 let methodName;
                 if (member.key.type === 'Identifier') {
                   methodName = member.key.name;
@@ -356,7 +367,8 @@ function extractJavaScriptFunctions(filePath) {
                   className: className,
                   methodName: methodName,
                   kind: kind,
-                  static: isStatic
+                  static: isStatic,
+                  complexity: cyclomaticComplexity(member.value || member)
                 });
               }
             }
@@ -388,7 +400,8 @@ function extractJavaScriptFunctions(filePath) {
               content: getCode(node.declaration),
               startLine: node.declaration.loc ? node.declaration.loc.start.line : 0,
               endLine: node.declaration.loc ? node.declaration.loc.end.line : 0,
-              isExported: true
+              isExported: true,
+              complexity: cyclomaticComplexity(node.declaration)
             });
             // Mark as visited to avoid duplicate processing
             visitedNodes.add(node.declaration);
@@ -433,7 +446,8 @@ function extractJavaScriptFunctions(filePath) {
               startLine: node.declaration.loc ? node.declaration.loc.start.line : 0,
               endLine: node.declaration.loc ? node.declaration.loc.end.line : 0,
               isExported: true,
-              isDefaultExport: true
+              isDefaultExport: true,
+              complexity: cyclomaticComplexity(node.declaration)
             });
             visitedNodes.add(node.declaration);
           }
@@ -476,9 +490,10 @@ function extractJavaScriptFunctions(filePath) {
 }
 
 // Extract script content from Vue file and parse it
-function extractVueFunctions(filePath) {
+// (source, when given, is parsed instead of the file's content on disk)
+function extractVueFunctions(filePath, source) {
   try {
-    const content = fs.readFileSync(filePath, 'utf8');
+    const content = source !== undefined ? source : fs.readFileSync(filePath, 'utf8');
     
     // Extract <script> section from Vue file
     const scriptMatch = content.match(/<script[^>]*>([\s\S]*?)<\/script>/);
@@ -487,6 +502,8 @@ function extractVueFunctions(filePath) {
     }
     
     const scriptContent = scriptMatch[1];
+    // Line of the file where the script starts, so node lines match the .vue file
+    const scriptStartLine = content.slice(0, scriptMatch.index + scriptMatch[0].indexOf('>') + 1).split('\n').length;
     
     // Create a temporary file path for parsing (just for reference)
     // Parse the script content as JavaScript/TypeScript
@@ -503,6 +520,7 @@ function extractVueFunctions(filePath) {
     try {
       const ast = babelParser.parse(scriptContent, {
         sourceType: 'module',
+        startLine: scriptStartLine,
         plugins: [
           'typescript',
           'jsx',
@@ -542,7 +560,8 @@ function extractVueFunctions(filePath) {
             name: node.id.name,
             content: getCode(node),
             startLine: node.loc ? node.loc.start.line : 0,
-            endLine: node.loc ? node.loc.end.line : 0
+            endLine: node.loc ? node.loc.end.line : 0,
+            complexity: cyclomaticComplexity(node)
           });
         }
         
@@ -556,7 +575,8 @@ function extractVueFunctions(filePath) {
             name: node.id.name,
             content: funcContent,
             startLine: node.loc ? node.loc.start.line : 0,
-            endLine: node.loc ? node.loc.end.line : 0
+            endLine: node.loc ? node.loc.end.line : 0,
+            complexity: cyclomaticComplexity(node.init)
           });
         }
         
@@ -565,8 +585,10 @@ function extractVueFunctions(filePath) {
           const methods = [];
           if (classNode.body && classNode.body.body && Array.isArray(classNode.body.body)) {
             for (const member of classNode.body.body) {
-              // Handle MethodDefinition (regular methods, constructors, getters, setters, static methods)
-              if (member && member.type === 'MethodDefinition' && member.key) {
+              // Handle methods (regular methods, constructors, getters, setters, static methods):
+              // ClassMethod/ClassPrivateMethod from Babel, MethodDefinition from ESTree parsers
+              const isMethod = member && ['ClassMethod', 'ClassPrivateMethod', 'MethodDefinition'].includes(member.type);
+              if (isMethod && member.key) {
                 let methodName;
                 if (member.key.type === 'Identifier') {
                   methodName = member.key.name;
@@ -604,7 +626,8 @@ function extractVueFunctions(filePath) {
                   className: className,
                   methodName: methodName,
                   kind: kind,
-                  static: isStatic
+                  static: isStatic,
+                  complexity: cyclomaticComplexity(member.value || member)
                 });
               }
             }
@@ -636,7 +659,8 @@ function extractVueFunctions(filePath) {
               content: getCode(node.declaration),
               startLine: node.declaration.loc ? node.declaration.loc.start.line : 0,
               endLine: node.declaration.loc ? node.declaration.loc.end.line : 0,
-              isExported: true
+              isExported: true,
+              complexity: cyclomaticComplexity(node.declaration)
             });
             // Mark as visited to avoid duplicate processing
             visitedNodes.add(node.declaration);
@@ -681,7 +705,8 @@ function extractVueFunctions(filePath) {
               startLine: node.declaration.loc ? node.declaration.loc.start.line : 0,
               endLine: node.declaration.loc ? node.declaration.loc.end.line : 0,
               isExported: true,
-              isDefaultExport: true
+              isDefaultExport: true,
+              complexity: cyclomaticComplexity(node.declaration)
             });
             visitedNodes.add(node.declaration);
           }
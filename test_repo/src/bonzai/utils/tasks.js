@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { ROOT } = require('../config');
+const { describeViolation } = require('./checks');
+
+const TASKS_MD_PATH = path.join(ROOT, 'bonzai', 'tasks.md');
+const TASKS_JSON_PATH = path.join(ROOT, 'bonzai', 'tasks.json');
+
+// Placeholder values from config: every rule with a limit becomes {{ <rulename> }},
+// e.g. lineLimit.limit -> {{ linelimit }}
+function promptVariables(config) {
+  const vars = {};
+  for (const [name, rule] of Object.entries(config)) {
+    if (rule && typeof rule === 'object' && rule.limit !== undefined) {
+      vars[name.toLowerCase()] = rule.limit;
+    }
+  }
+  return vars;
+}
+
+// Fill {{ name }} placeholders (case-insensitive); unknown ones are left as-is
+function renderPrompt(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = vars[name.toLowerCase()];
+    return value === undefined ? match : String(value);
+  });
+}
+
+// Turn check violations into one task per offending file/folder
+function buildTasks(config, violations) {
+  const vars = promptVariables(config);
+
+  const tasks = violations.map((violation, index) => {
+    const rule = config[violation.rule] || {};
+    // The violation's own limit, which overrides may have changed for this path
+    const taskVars = { ...vars, path: violation.path, value: violation.value };
+    if (violation.limit !== undefined) {
+      taskVars[violation.rule.toLowerCase()] = violation.limit;
+    }
+    const description = describeViolation(violation);
+    const instruction = rule.prompt ? renderPrompt(rule.prompt, taskVars) : description;
+
+    return {
+      id: index + 1,
+      rule: violation.rule,
+      path: violation.path,
+      value: violation.value,
+      limit: violation.limit,
+      prompt: `${instruction}\n\n\`${violation.path}\`: ${description}.`
+    };
+  });
+
+  const requirements = config.customChecks && config.customChecks.requirements
+    ? renderPrompt(config.customChecks.requirements, vars)
+    : null;
+
+  return { requirements, tasks };
+}
+
+function renderMarkdown({ requirements, tasks }) {
+  let md = '# Bonzai tasks\n\n';
+  md += 'Work through these one at a time, then re-run `npx bonzai-tree check`.\n';
+
+  for (const task of tasks) {
+    md += `\n## ${task.id}. ${task.rule}: ${task.path}\n\n${task.prompt}\n`;
+  }
+
+  if (tasks.length === 0) {
+    md += '\nNo rule violations.\n';
+  }
+
+  if (requirements) {
+    md += `\n## General requirements\n\n${requirements}\n`;
+  }
+
+  return md;
+}
+
+// Write bonzai/tasks.md and bonzai/tasks.json, returning the paths written
+function writeTasks(taskList) {
+  fs.writeFileSync(TASKS_MD_PATH, renderMarkdown(taskList), 'utf8');
+  fs.writeFileSync(TASKS_JSON_PATH, JSON.stringify(taskList, null, 2) + '\n', 'utf8');
+  return {
+    markdown: path.relative(ROOT, TASKS_MD_PATH),
+    json: path.relative(ROOT, TASKS_JSON_PATH)
+  };
+}
+
+module.exports = {
+  TASKS_MD_PATH,
+  TASKS_JSON_PATH,
+  promptVariables,
+  renderPrompt,
+  buildTasks,
+  renderMarkdown,
+  writeTasks
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { createRequire } = require('module');
+const { ROOT } = require('../config');
+const { messagesByNode } = require('./fileList');
+
+// Prefer the project's own TypeScript so diagnostics match its build,
+// otherwise the copy installed alongside bonzai
+function loadTypeScript() {
+  try {
+    return createRequire(path.join(ROOT, 'package.json'))('typescript');
+  } catch (e) {
+    // Not installed in the project, fall back to bonzai's copy
+  }
+  try {
+    return require('typescript');
+  } catch (e) {
+    return null;
+  }
+}
+
+// Compiler settings when the repo has no tsconfig.json
+function inferredOptions(ts) {
+  return {
+    target: ts.ScriptTarget.ES2022,
+    module: ts.ModuleKind.ESNext,
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+    jsx: ts.JsxEmit.Preserve,
+    esModuleInterop: true,
+    allowJs: true,
+    skipLibCheck: true,
+    noEmit: true
+  };
+}
+
+// Root files and options from tsconfig.json, or the repo's .ts/.tsx files with inferred settings
+function programSetup(ts, files) {
+  const tsconfigPath = path.join(ROOT, 'tsconfig.json');
+
+  if (fs.existsSync(tsconfigPath)) {
+    const { config, error } = ts.readConfigFile(tsconfigPath, ts.sys.readFile);
+    if (error) {
+      return { tsconfig: tsconfigPath, fileNames: [], options: {}, errors: [error] };
+    }
+    const parsed = ts.parseJsonConfigFileContent(config, ts.sys, ROOT, undefined, tsconfigPath);
+    return {
+      tsconfig: tsconfigPath,
+      fileNames: parsed.fileNames,
+      options: { ...parsed.options, noEmit: true },
+      errors: parsed.errors
+    };
+  }
+
+  const fileNames = files
+    .filter(file => (file.endsWith('.ts') || file.endsWith('.tsx')) && !file.endsWith('.d.ts'))
+    .map(file => path.join(ROOT, file));
+  return { tsconfig: null, fileNames, options: inferredOptions(ts), errors: [] };
+}
+
+// Compiler host that reads repo files through read(), falling back to the disk
+// for dependencies and for files read() can't supply
+function compilerHost(ts, options, read) {
+  const host = ts.createCompilerHost(options);
+  const readFile = host.readFile.bind(host);
+  host.readFile = fileName => {
+    const file = path.relative(ROOT, fileName).replace(/\\/g, '/');
+    if (file.startsWith('..') || path.isAbsolute(file) || file.includes('node_modules/')) {
+      return readFile(fileName);
+    }
+    try {
+      return read(file);
+    } catch (e) {
+      return readFile(fileName);
+    }
+  };
+  return host;
+}
+
+function toDiagnostic(ts, d) {
+  const diagnostic = {
+    line: 0,
+    column: 0,
+    severity: d.category === ts.DiagnosticCategory.Error ? 'error' : 'warning',
+    ruleId: 'TS' + d.code,
+    message: ts.flattenDiagnosticMessageText(d.messageText, '\n')
+  };
+  if (d.file && d.start !== undefined) {
+    const { line, character } = d.file.getLineAndCharacterOfPosition(d.start);
+    diagnostic.line = line + 1;
+    diagnostic.column = character + 1;
+  }
+  return diagnostic;
+}
+
+// Type-check the repo. files is the repo-relative file list, used when there is no
+// tsconfig.json. Returns { tsconfig, files: [{ path, diagnostics, nodes }] }, or null
+// when TypeScript isn't installed. Diagnostics without a file (tsconfig problems)
+// are reported under the tsconfig path. read(file), when given, supplies the content
+// of the repo's own files instead of the disk (the staged version, for instance)
+function typeCheck(files, read) {
+  const ts = loadTypeScript();
+  if (!ts) {
+    return null;
+  }
+
+  const setup = programSetup(ts, files);
+  const tsconfig = setup.tsconfig ? path.relative(ROOT, setup.tsconfig) : null;
+  const diagnostics = [...setup.errors];
+
+  if (setup.fileNames.length > 0) {
+    const program = ts.createProgram(setup.fileNames, setup.options, read ? compilerHost(ts, setup.options, read) : undefined);
+    diagnostics.push(...ts.getPreEmitDiagnostics(program));
+  }
+
+  const byFile = new Map();
+  for (const d of diagnostics) {
+    const file = d.file ? path.relative(ROOT, d.file.fileName).replace(/\\/g, '/') : (tsconfig || '.');
+    // Errors inside dependencies' typings aren't actionable here
+    if (file.startsWith('..') || file.includes('node_modules/')) continue;
+
+    if (!byFile.has(file)) byFile.set(file, []);
+    byFile.get(file).push(toDiagnostic(ts, d));
+  }
+
+  return {
+    tsconfig,
+    files: [...byFile].map(([file, fileDiagnostics]) => ({
+      path: file,
+      diagnostics: fileDiagnostics,
+      nodes: messagesByNode(file, fileDiagnostics, ROOT, read ? sourceOf(read, file) : undefined)
+    }))
+  };
+}
+
+// Content of file through read(), or undefined to use the disk
+function sourceOf(read, file) {
+  try {
+    return read(file);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+module.exports = {
+  typeCheck
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// The visualization UI (app.js, app.css) ships in bonzai/ui, copied from the
+// package by bconfig.js, with ui/version.json naming the bonzai-tree release it
+// came with. The HTML shell loads it from /ui/<version>/ so a browser never
+// mixes cached assets from another release with these handlers.
+// Remote mode loads the latest UI from bonzai.dev instead (not pinned)
+
+const UI_DIR = path.join(__dirname, '..', 'ui');
+const REMOTE_BASE = 'https://bonzai.dev';
+
+function localVersion() {
+  try {
+    const { version } = JSON.parse(fs.readFileSync(path.join(UI_DIR, 'version.json'), 'utf8'));
+    return fs.existsSync(path.join(UI_DIR, 'app.js')) ? version : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Where the shell loads the UI from: { mode, version, dir, mount, script, style }.
+// Falls back to remote when the local assets are missing
+function resolveUi(remote) {
+  const version = localVersion();
+  if (!remote && !version) {
+    console.warn('UI assets not found in bonzai/ui, loading the UI from ' + REMOTE_BASE);
+  }
+
+  if (remote || !version) {
+    return {
+      mode: 'remote',
+      version: null,
+      script: `${REMOTE_BASE}/app.js`,
+      style: `${REMOTE_BASE}/app.css`
+    };
+  }
+
+  const mount = `/ui/${encodeURIComponent(version)}`;
+  return {
+    mode: 'local',
+    version,
+    dir: UI_DIR,
+    mount,
+    script: `${mount}/app.js`,
+    style: `${mount}/app.css`
+  };
+}
+
+module.exports = {
+  resolveUi
+};
@@ -22,19 +22,33 @@ export default defineConfig({
     // Copy payload-bonzai (config template)
     fs.cpSync('payload-bonzai', 'dist/payload-bonzai', { recursive: true })
 
+    // Copy graph-templates base files (the check command runs the rule engine from utils)
+    // package.json marks them CommonJS, since the package itself is ESM
+    fs.mkdirSync('dist/graph-templates', { recursive: true })
+    fs.copyFileSync('graph-templates/package.json', 'dist/graph-templates/package.json')
+    fs.copyFileSync('graph-templates/config.js', 'dist/graph-templates/config.js')
+    fs.copyFileSync('graph-templates/ignore.txt', 'dist/graph-templates/ignore.txt')
+    fs.cpSync('graph-templates/utils', 'dist/graph-templates/utils', { recursive: true })
+
     // Check if any graph-template loops are enabled
     const hasVisualization = enabledLoops.includes('visualization')
     const hasBackend = enabledLoops.includes('backend')
 
     if (hasVisualization || hasBackend) {
       fs.copyFileSync('src/bconfig.js', 'dist/bconfig.js')
-
-      // Copy graph-templates base files
-      fs.mkdirSync('dist/graph-templates', { recursive: true })
       fs.copyFileSync('graph-templates/receiver.js', 'dist/graph-templates/receiver.js')
-      fs.copyFileSync('graph-templates/config.js', 'dist/graph-templates/config.js')
-      fs.copyFileSync('graph-templates/ignore.txt', 'dist/graph-templates/ignore.txt')
-      fs.cpSync('graph-templates/utils', 'dist/graph-templates/utils', { recursive: true })
+
+      // UI assets (app.js and app.css in graph-templates/ui, fetched by `npm run build:ui`),
+      // served locally and pinned to this package version. Without them the package
+      // loads the UI from bonzai.dev; releases run build:ui first, so they always ship it
+      const { version } = JSON.parse(fs.readFileSync('package.json', 'utf8'))
+      const missing = ['app.js', 'app.css'].filter(file => !fs.existsSync(path.join('graph-templates/ui', file)))
+      if (missing.length === 0) {
+        fs.cpSync('graph-templates/ui', 'dist/graph-templates/ui', { recursive: true })
+        fs.writeFileSync('dist/graph-templates/ui/version.json', JSON.stringify({ version }, null, 2) + '\n')
+      } else {
+        console.log('No UI assets in graph-templates/ui (run npm run build:ui), the server will load the UI from bonzai.dev')
+      }
 
       fs.mkdirSync('dist/graph-templates/loops', { recursive: true })
 